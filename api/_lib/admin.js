@@ -0,0 +1,36 @@
+// /api/_lib/admin.js — bearer-token check shared by the /api/admin/* routes
+//
+// Env:
+//   ADMIN_TOKEN  required; admin routes answer 503 until it is set
+
+import crypto from "crypto";
+
+function tokenMatches(given, token) {
+  // compare digests: equal length, constant time
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(token).digest();
+  return given.length > 0 && crypto.timingSafeEqual(a, b);
+}
+
+// Sends the 503/401 response itself; returns true when the request may proceed.
+export function requireAdmin(req, res) {
+  const token = process.env.ADMIN_TOKEN || "";
+  if (!token) {
+    res.status(503).json({ error: "Admin routes are disabled: set ADMIN_TOKEN" });
+    return false;
+  }
+
+  const header = (req.headers.authorization || "").toString();
+  const given = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (!tokenMatches(given, token)) {
+    res.setHeader("WWW-Authenticate", 'Bearer realm="admin"');
+    res.status(401).json({ error: "Unauthorized" });
+    return false;
+  }
+  return true;
+}
+
+export function intParam(v, fallback, max) {
+  const n = Number.parseInt(String(v ?? ""), 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, max) : fallback;
+}
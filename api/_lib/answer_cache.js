@@ -0,0 +1,48 @@
+// /api/_lib/answer_cache.js — reuse answers to repeated questions instead of calling the model again
+//
+// Key: normalized question + docs index version + ids of the picked chunks (in order) + the
+// player's profile (level, focus, track), which the prompt tailors answers to. The conversation
+// isn't part of the key: a standalone question is answered from its sources, so players asking
+// the same thing share one answer. Follow-ups that only make sense in context ("tell me more",
+// "why") are never cached; chat.js doesn't ask for a key for those.
+// The index version is a hash of the indexed chunks (see getDocsIndex in ./retrieval.js), so a
+// rebuilt docs_index.json never hits answers written against the old one; those just expire.
+// Only grounded docs answers are cached: a "not in the sources" reply is more often a retrieval
+// miss worth retrying than a stable answer.
+//
+// Env:
+//   ANSWER_CACHE              set to 0 to turn the cache off
+//   ANSWER_CACHE_TTL_MINUTES  how long a cached answer is reused (default 360)
+
+import crypto from "crypto";
+import { normalize } from "./text.js";
+
+const CACHE_TTL_MS = Number(process.env.ANSWER_CACHE_TTL_MINUTES || 360) * 60_000;
+
+export function answerCacheEnabled(env = process.env) {
+  return env.ANSWER_CACHE !== "0" && CACHE_TTL_MS > 0;
+}
+
+// "" when the answer can't be cached (no index version or no chunk ids to pin it to)
+export function answerCacheKey(question, indexVersion, picked, profile = {}) {
+  const ids = (picked || []).map((c) => c.id);
+  const q = normalize(question);
+  if (!answerCacheEnabled() || !indexVersion || !q || !ids.length || ids.some((id) => !id)) return "";
+  const hash = crypto
+    .createHash("sha256")
+    .update(JSON.stringify([q, indexVersion, ids, [profile.level || "", profile.focus || "", profile.track || ""]]))
+    .digest("hex");
+  return `answercache:${hash.slice(0, 32)}`;
+}
+
+// Returns { mode, answer, followups, citations, grounded, cachedAt } or null
+export async function getCachedAnswer(store, key) {
+  if (!key) return null;
+  const hit = await store.get(key);
+  return hit?.answer ? hit : null;
+}
+
+export async function cacheAnswer(store, key, { mode, answer, followups, citations, grounded }) {
+  if (!key || mode !== "docs" || !grounded) return;
+  await store.set(key, { mode, answer, followups, citations, grounded, cachedAt: Date.now() }, CACHE_TTL_MS);
+}
@@ -0,0 +1,147 @@
+// /api/_lib/citations.js — numbered citations + verification against the retrieved sources
+//
+// `index` is the SOURCE number from the prompt, so [n] in the answer maps to citations[].index === n.
+// The model's citations are never trusted as-is: every one must point at a picked chunk and
+// be backed by its text, otherwise it is repaired (re-pointed at the chunk that does contain
+// the quote) or dropped along with its [n] markers.
+
+import { normalize, clampText } from "./text.js";
+
+const MAX_CITATIONS = 5;
+const QUOTE_MIN_OVERLAP = 0.8; // share of quote words that must appear in the source
+const CLAIM_MIN_OVERLAP = 0.35; // share of a cited sentence's words that must appear in the source
+
+const MARKER_RE = /\s?\[(\d{1,2})\]/g;
+
+function words(s) {
+  return normalize(s)
+    .split(" ")
+    .filter((w) => w.length >= 3);
+}
+
+function overlap(text, sourceText) {
+  const ws = words(text);
+  if (!ws.length) return 0;
+  const src = new Set(words(sourceText));
+  return ws.filter((w) => src.has(w)).length / ws.length;
+}
+
+function quoteSupported(quote, sourceText) {
+  const q = normalize(quote);
+  if (!q) return false;
+  if (q.length >= 12 && normalize(sourceText).includes(q)) return true;
+  return overlap(quote, sourceText) >= QUOTE_MIN_OVERLAP;
+}
+
+// Sentences (or lines) of the answer that carry a [n] marker
+function sentencesCiting(answer, n) {
+  return answer
+    .split(/(?<=[.!?])\s+|\n+/)
+    .filter((s) => s.includes(`[${n}]`))
+    .map((s) => s.replace(MARKER_RE, ""));
+}
+
+function firstSentence(text, max = 200) {
+  const flat = (text || "").replace(/\s+/g, " ").trim();
+  const m = flat.match(/^[^.!?]{20,}?[.!?](\s|$)/);
+  return clampText(m ? m[0].trim() : flat, max);
+}
+
+// Collects what the model claims to cite: its citations array + the [n] markers in the answer.
+// Returns [{ index, quote }], one per source number.
+export function buildCitations(rawCitations, answer, picked) {
+  const byIndex = new Map();
+
+  const add = (n, quote) => {
+    if (!Number.isInteger(n) || n < 1) return;
+    if (!byIndex.has(n)) byIndex.set(n, { index: n, quote: "" });
+    const entry = byIndex.get(n);
+    if (quote && !entry.quote) entry.quote = clampText(String(quote).trim(), 240);
+  };
+
+  for (const c of Array.isArray(rawCitations) ? rawCitations : []) {
+    let n = Number(c?.source ?? c?.index);
+    if (!Number.isInteger(n) || n < 1) {
+      // older shape: { title, section }
+      const t = normalize(c?.title || "");
+      const s = normalize(c?.section || "");
+      n = picked.findIndex((p) => normalize(p.title) === t && (!s || normalize(p.section) === s)) + 1;
+    }
+    add(n, c?.quote);
+  }
+
+  for (const m of answer.matchAll(/\[(\d{1,2})\]/g)) add(Number(m[1]));
+
+  return Array.from(byIndex.values());
+}
+
+// Checks each claimed citation against the picked chunks.
+// Returns { answer, citations: [{ index, id?, title, section, url, snippet }], dropped: number[],
+// repaired: number[] } with [n] markers rewritten for repaired citations and removed for dropped ones.
+export function verifyCitations(answer, claimed, picked) {
+  const kept = new Map(); // index -> verified quote ("" if supported by the claim instead)
+  const remap = new Map(); // claimed index -> repaired index
+  const ownMarkers = new Set(); // claimed indexes whose [n] markers stay as they are
+  const dropped = [];
+
+  for (const { index, quote } of claimed) {
+    const src = picked[index - 1];
+
+    if (quote) {
+      if (src && quoteSupported(quote, src.text)) {
+        kept.set(index, quote);
+        ownMarkers.add(index);
+        continue;
+      }
+      const other = picked.findIndex((p) => quoteSupported(quote, p.text)) + 1;
+      if (other > 0) {
+        remap.set(index, other);
+        if (!kept.get(other)) kept.set(other, quote);
+        continue;
+      }
+    }
+
+    if (!src) {
+      dropped.push(index);
+      continue;
+    }
+
+    const claims = sentencesCiting(answer, index);
+    const supported = claims.length
+      ? claims.some((c) => overlap(c, src.text) >= CLAIM_MIN_OVERLAP)
+      : overlap(answer.replace(MARKER_RE, ""), src.text) >= CLAIM_MIN_OVERLAP;
+
+    if (supported) {
+      if (!kept.has(index)) kept.set(index, "");
+      ownMarkers.add(index);
+    } else {
+      dropped.push(index);
+    }
+  }
+
+  const fixed = answer
+    .replace(MARKER_RE, (m, n) => {
+      const idx = Number(n);
+      if (remap.has(idx)) return m.replace(n, String(remap.get(idx)));
+      return ownMarkers.has(idx) ? m : "";
+    })
+    .replace(/(\[\d{1,2}\])\1+/g, "$1")
+    .trim();
+
+  const citations = Array.from(kept.entries())
+    .sort((a, b) => a[0] - b[0])
+    .slice(0, MAX_CITATIONS)
+    .map(([index, quote]) => {
+      const src = picked[index - 1];
+      return {
+        index,
+        ...(src.id ? { id: src.id } : {}),
+        title: (src.title || "Untitled").trim(),
+        section: (src.section || "").trim(),
+        url: (src.url || "").trim(),
+        snippet: quote || firstSentence(src.text),
+      };
+    });
+
+  return { answer: fixed, citations, dropped, repaired: Array.from(remap.keys()) };
+}
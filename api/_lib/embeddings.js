@@ -0,0 +1,83 @@
+// /api/_lib/embeddings.js — local CPU sentence embeddings (shared by the indexer and /api/chat)
+// Uses @huggingface/transformers (a dependency in package.json); callers fall back to keyword-only
+// search when it or the model can't be loaded.
+//
+// Model weights (~90 MB) don't come with the package. On Vercel `npm run vercel-build` runs
+// scripts/fetch_embed_model.mjs, which downloads them into ./models at deploy time, and vercel.json
+// bundles that directory with /api/chat: a cold start reads them from disk and never downloads.
+// Without a model directory the model is downloaded on first use into the transformers cache
+// (<tmpdir>/transformers-cache on Vercel, the only writable place), i.e. once per cold start.
+//
+// Env:
+//   EMBED_MODEL      default Xenova/all-MiniLM-L6-v2 (384 dims, mean-pooled, L2-normalized)
+//   EMBED_MODEL_DIR  pre-downloaded model cache (default: <cwd>/models when it exists); remote
+//                    downloads are off when there is one
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+export const DEFAULT_EMBED_MODEL = "Xenova/all-MiniLM-L6-v2";
+
+const embedders = new Map(); // model -> Promise<extractor | null>
+
+// Where transformers.js looks for (and, when allowed, downloads) model files
+export function configureModelCache(env, vars = process.env) {
+  const bundled = path.join(process.cwd(), "models");
+  const dir = vars.EMBED_MODEL_DIR || (fs.existsSync(bundled) ? bundled : "");
+  if (dir) {
+    env.cacheDir = path.resolve(dir);
+    env.allowRemoteModels = false;
+  } else if (vars.VERCEL) {
+    env.cacheDir = path.join(os.tmpdir(), "transformers-cache");
+  }
+}
+
+function loadExtractor(model) {
+  if (!embedders.has(model)) {
+    const p = import("@huggingface/transformers")
+      .then(({ pipeline, env }) => {
+        configureModelCache(env);
+        return pipeline("feature-extraction", model, { dtype: "fp32" });
+      })
+      .catch((err) => {
+        console.warn(`[embeddings] ${model} unavailable: ${err?.message || err}`);
+        return null;
+      });
+    embedders.set(model, p);
+  }
+  return embedders.get(model);
+}
+
+// Returns an embedder { model, embed(texts) -> number[][] } or null if no local model can be loaded.
+export async function getEmbedder(model = process.env.EMBED_MODEL || DEFAULT_EMBED_MODEL) {
+  const extractor = await loadExtractor(model);
+  if (!extractor) return null;
+
+  return {
+    model,
+    async embed(texts) {
+      const out = await extractor(texts, { pooling: "mean", normalize: true });
+      return out.tolist();
+    },
+  };
+}
+
+// Text used for a chunk's vector: title + section give the model the page context
+export function chunkEmbeddingText(chunk) {
+  const head = [chunk.title, chunk.section].filter(Boolean).join(" — ");
+  return head ? `${head}\n${chunk.text}` : chunk.text;
+}
+
+export function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
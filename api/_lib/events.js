@@ -0,0 +1,140 @@
+// /api/_lib/events.js — append-only JSON Lines logs (Q&A events for /api/admin/insights, answer feedback,
+// injection guard blocks)
+// One file per log and UTC day (<name>-YYYY-MM-DD.jsonl). Lines are only ever appended;
+// files older than the log's retention window are deleted now and then.
+//
+// Q&A event: { ts, answerId, session, kind, question, topic, mode, grounded, topScore, chunkIds, cached, latencyMs }
+//   session   salted hash of the session id (never the id, cookie or IP itself)
+//   kind      docs | smalltalk | whatnext | blocked (only "docs" went through retrieval;
+//             "blocked" questions were stopped by the injection guard, see ./guard.js)
+//   cached    answer came from the answer cache (see ./answer_cache.js), not the model
+//
+// Env:
+//   EVENTS_LOG             set to 0 to turn Q&A event (and guard block) logging off
+//   EVENTS_DIR             directory for the log files (default: <tmpdir>/gigaverse-events).
+//                          Serverless instances each have their own tmpdir: point this at shared
+//                          storage if the API routes don't share a disk. Required on Vercel, where
+//                          every /api file is a separate function: without it nothing is logged
+//                          and the admin routes answer 503 (see logStorageProblem).
+//   EVENTS_SALT            salt for session hashes (default: random per process, so hashes only
+//                          group events within one instance; set it to keep them stable)
+//   EVENTS_RETENTION_DAYS  days of Q&A events to keep (default 30)
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+
+const EVENTS_DIR = process.env.EVENTS_DIR || path.join(os.tmpdir(), "gigaverse-events");
+const EVENTS_SALT = process.env.EVENTS_SALT || crypto.randomBytes(16).toString("hex");
+const RETENTION_DAYS = Number(process.env.EVENTS_RETENTION_DAYS || 30);
+const QUESTION_MAX = 300;
+const SWEEP_EVERY = 200;
+
+export function eventsEnabled(env = process.env) {
+  return env.EVENTS_LOG !== "0";
+}
+
+// Why logs written here can't be read back by another route ("" = they can)
+export function logStorageProblem(env = process.env) {
+  if (env.VERCEL && !env.EVENTS_DIR) {
+    return "EVENTS_DIR is not set: each API route on Vercel has its own tmpdir, so the admin routes can't see what /api/chat logs. Point EVENTS_DIR at shared storage.";
+  }
+  return "";
+}
+
+let storageWarned = false;
+
+export function anonymizeSession(sid) {
+  return crypto.createHmac("sha256", EVENTS_SALT).update(String(sid || "")).digest("hex").slice(0, 16);
+}
+
+const day = (ts) => new Date(ts).toISOString().slice(0, 10);
+
+// append(record) adds { ts, ...record } as one line; read({ days }) returns the records of the
+// last `days` UTC days (today included), oldest first, skipping unreadable lines.
+export function createAppendLog({ name, retentionDays, dir = EVENTS_DIR }) {
+  const fileRe = new RegExp(`^${name}-(\\d{4}-\\d{2}-\\d{2})\\.jsonl$`);
+  const fileFor = (date) => path.join(dir, `${name}-${date}.jsonl`);
+  let ready = null;
+  let writes = 0;
+
+  async function sweep() {
+    const cutoff = day(Date.now() - retentionDays * 86_400_000);
+    const names = await fs.readdir(dir).catch(() => []);
+    for (const n of names) {
+      const m = n.match(fileRe);
+      if (m && m[1] < cutoff) await fs.unlink(path.join(dir, n)).catch(() => {});
+    }
+  }
+
+  return {
+    name,
+
+    async append(record) {
+      try {
+        await (ready ??= fs.mkdir(dir, { recursive: true }));
+      } catch (err) {
+        ready = null;
+        throw err;
+      }
+      const ts = Date.now();
+      // a single appendFile of one line (O_APPEND) doesn't interleave with other writers
+      await fs.appendFile(fileFor(day(ts)), `${JSON.stringify({ ts, ...record })}\n`, "utf8");
+      if (++writes % SWEEP_EVERY === 1) await sweep();
+    },
+
+    async read({ days = 7 } = {}) {
+      const from = day(Date.now() - (days - 1) * 86_400_000);
+      const names = (await fs.readdir(dir).catch(() => []))
+        .filter((n) => {
+          const m = n.match(fileRe);
+          return m && m[1] >= from;
+        })
+        .sort();
+
+      const records = [];
+      for (const n of names) {
+        const raw = await fs.readFile(path.join(dir, n), "utf8").catch(() => "");
+        for (const line of raw.split("\n")) {
+          if (!line.trim()) continue;
+          try {
+            records.push(JSON.parse(line));
+          } catch {
+            // torn last line of a crashed write
+          }
+        }
+      }
+      return { from, records };
+    },
+  };
+}
+
+const qaLog = createAppendLog({ name: "events", retentionDays: RETENTION_DAYS });
+
+// Appends to an analytics log (Q&A events, guard blocks) unless EVENTS_LOG=0 or the admin routes
+// couldn't read it back anyway. Never throws: analytics must not break an answer.
+export async function logTo(log, record) {
+  if (!eventsEnabled()) return;
+  const problem = logStorageProblem();
+  if (problem) {
+    if (!storageWarned) console.error(`event log disabled: ${problem}`);
+    storageWarned = true;
+    return;
+  }
+  try {
+    await log.append(record);
+  } catch (err) {
+    console.error(`${log.name} log:`, err.message);
+  }
+}
+
+// Appends one Q&A event
+export async function logEvent(event) {
+  await logTo(qaLog, { ...event, question: String(event.question || "").slice(0, QUESTION_MAX) });
+}
+
+export async function readEvents({ days = 7 } = {}) {
+  const { from, records } = await qaLog.read({ days });
+  return { from, events: records };
+}
@@ -0,0 +1,65 @@
+// /api/_lib/feedback.js — answer feedback: the answer records votes point at + the feedback log
+//
+// /api/chat stores every answer as `answer:<answerId>` in the shared store, so a vote can be tied to
+// what was actually asked, answered and cited (the browser only sends the id). Votes go to an
+// append-only log (see ./events.js); a changed vote is a new line and the latest one wins.
+//
+// Feedback record: { ts, answerId, session, rating, comment, question, resolvedQuestion, answer,
+//                    mode, grounded, citedChunkIds, pickedChunkIds, answeredAt }
+//
+// Env:
+//   ANSWER_TTL_DAYS          how long answers can receive feedback (default 30). Answer records live in
+//                            the session store, which /api/chat and /api/feedback must share: with
+//                            SESSION_STORE=memory (the default) each function has its own, so feedback
+//                            is off (no answerId in /api/chat replies, 503 from /api/feedback). Use
+//                            redis, or file with a shared SESSION_STORE_DIR (see ./store.js).
+//   FEEDBACK_RETENTION_DAYS  days of feedback to keep (default 365). The log needs a shared
+//                            EVENTS_DIR on Vercel too (see ./events.js).
+
+import { createAppendLog, logStorageProblem } from "./events.js";
+import { isSharedStore } from "./store.js";
+
+export const FEEDBACK_RATINGS = ["helpful", "not_helpful", "wrong_source"];
+export const COMMENT_MAX = 1000;
+export const ANSWER_TTL_MS = Number(process.env.ANSWER_TTL_DAYS || 30) * 86_400_000;
+
+const ANSWER_MAX = 4000;
+
+export const feedbackLog = createAppendLog({
+  name: "feedback",
+  retentionDays: Number(process.env.FEEDBACK_RETENTION_DAYS || 365),
+});
+
+export const answerKey = (answerId) => `answer:${answerId}`;
+
+// Why votes can't work with this setup ("" = they can)
+export function feedbackProblem(store, env = process.env) {
+  if (!isSharedStore(store, env)) {
+    return `Feedback needs a session store shared by all API routes (SESSION_STORE is "${store.kind}"); use redis, or file with a shared SESSION_STORE_DIR.`;
+  }
+  return logStorageProblem(env);
+}
+
+export function answerRecord({ session, question, resolvedQuestion, answer, mode, grounded, citations, picked }) {
+  return {
+    session,
+    question,
+    resolvedQuestion,
+    answer: String(answer || "").slice(0, ANSWER_MAX),
+    mode,
+    grounded: Boolean(grounded),
+    citedChunkIds: (citations || []).map((c) => c.id).filter(Boolean),
+    pickedChunkIds: (picked || []).map((c) => c.id).filter(Boolean),
+    answeredAt: Date.now(),
+  };
+}
+
+// Latest vote per answer, oldest first
+export function latestVotes(records) {
+  const byAnswer = new Map();
+  for (const r of records) {
+    byAnswer.delete(r.answerId);
+    byAnswer.set(r.answerId, r);
+  }
+  return Array.from(byAnswer.values());
+}
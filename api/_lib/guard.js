@@ -0,0 +1,177 @@
+// /api/_lib/guard.js — prompt-injection guard for /api/chat
+// Input:  retrieved chunks and the player's question are untrusted. They go into the prompt inside
+//         fences with a per-request nonce (the system prompt says fenced text is data, never
+//         instructions), and are scanned for injection patterns first: a flagged question gets a
+//         canned reply without reaching the model, a flagged chunk is dropped from the sources.
+// Output: the answer is checked for leaked system-prompt text, the fence nonce, off-brand content
+//         and links to hosts that aren't in the sources; a failing answer is replaced.
+// Every block is appended to the "guard" log (see ./events.js; same EVENTS_LOG / EVENTS_DIR rules
+// as Q&A events, summarized by /api/admin/insights) as
+//   { ts, stage: question | source | output, reasons, session, question, chunkId, url, excerpt }
+//
+// Env:
+//   GUARD_LINK_HOSTS      hosts answers may link to besides the cited sources' own
+//                         (default gigaverse.io,glhfers.gitbook.io; subdomains included)
+//   GUARD_RETENTION_DAYS  days of guard log to keep (default 90)
+
+import crypto from "crypto";
+import { createAppendLog, logTo } from "./events.js";
+import { normalize } from "./text.js";
+
+const EXCERPT_MAX = 300;
+const LEAK_NGRAM = 8; // words in a row copied from the system prompt that count as a leak
+
+const LINK_HOSTS = (process.env.GUARD_LINK_HOSTS || "gigaverse.io,glhfers.gitbook.io")
+  .split(",")
+  .map((h) => h.trim().toLowerCase())
+  .filter(Boolean);
+
+const guardLog = createAppendLog({
+  name: "guard",
+  retentionDays: Number(process.env.GUARD_RETENTION_DAYS || 90),
+});
+
+// -------------------- Input --------------------
+// Tuned to stay quiet on game docs ("ignore the first boss", "you are now level 5").
+// A third element "question" limits a pattern to player messages: docs have innocent lines like
+// "System: Windows 10 or later".
+const INJECTION_PATTERNS = [
+  [
+    "override",
+    /\b(ignore|disregard|forget|override|bypass)\b[^.\n]{0,40}\b(previous|prior|above|earlier|all|any|your|these|those|system)\b[^.\n]{0,20}\b(instructions?|rules|prompts?|directions|guidelines)\b/i,
+  ],
+  ["new-instructions", /\b(new|updated|real|actual|secret)\s+(instructions|rules|system prompt)\s*:/i],
+  [
+    "prompt-extraction",
+    /\b(reveal|show|print|repeat|output|display|leak|dump|tell me)\b[^.\n]{0,40}\b(system prompt|hidden prompt|initial prompt|developer message|your (instructions|prompt|rules))\b/i,
+  ],
+  [
+    "persona",
+    /\b(you are now|from now on,? you(?:'re| are)|pretend (?:to be|you are)|act as)\b[^.\n]{0,30}\b(unfiltered|unrestricted|uncensored|jailbroken|dan|no (?:rules|restrictions|filters|limits))\b/i,
+  ],
+  ["jailbreak", /\b(jailbreak|dan mode|developer mode (?:enabled|on)|do anything now)\b/i],
+  ["chat-markup", /<\|(?:im_start|im_end|system|endoftext)\|>|\[\/?INST\]|<\/?(?:system|assistant)>|^\s*#{2,}\s*(?:system|instructions?)\b/im],
+  ["role-prefix", /^\s*(?:system|developer)(?:\s+(?:prompt|message|override))?\s*:/im, "question"],
+  // markdown image whose URL carries a query string: the classic way to smuggle data out
+  ["exfiltration", /!\[[^\]]*\]\(\s*https?:\/\/[^)\s]*\?[^)\s]*=/i],
+];
+
+// Returns the names of the patterns `text` matches ([] = clean). source: true for retrieved chunks.
+export function detectInjection(text, { source = false } = {}) {
+  const s = typeof text === "string" ? text : "";
+  return INJECTION_PATTERNS.filter(([, re, only]) => !(source && only === "question") && re.test(s)).map(([name]) => name);
+}
+
+// Fences for untrusted text. The nonce makes the closing marker unguessable, and any marker-like
+// run in the content is defanged so it can't close the fence early.
+export function createFence() {
+  const nonce = crypto.randomBytes(6).toString("hex");
+  return {
+    nonce,
+    open: (label) => `<<<${label} ${nonce}>>>`,
+    close: (label) => `<<<END ${label} ${nonce}>>>`,
+    wrap(label, text) {
+      const body = String(text || "")
+        .split(nonce)
+        .join("")
+        .replace(/<{3,}/g, "«")
+        .replace(/>{3,}/g, "»");
+      return `${this.open(label)}\n${body}\n${this.close(label)}`;
+    },
+  };
+}
+
+// -------------------- Output --------------------
+function ngrams(words, n) {
+  const out = new Set();
+  for (let i = 0; i + n <= words.length; i++) out.add(words.slice(i, i + n).join(" "));
+  return out;
+}
+
+// Quoted phrases (“…”) in the system prompt are ones the model is told to say: not a leak
+function systemNgrams(systemPrompt) {
+  const said = String(systemPrompt || "").replace(/“[^”]*”/g, " ");
+  return ngrams(normalize(said).split(" ").filter(Boolean), LEAK_NGRAM);
+}
+
+const OFF_BRAND_PATTERNS = [
+  ["ai-disclaimer", /\bas an ai(?: language)? model\b/i],
+  [
+    "credential-request",
+    /(?<!\b(?:never|not|don['’]?t|won['’]?t)\b[^.\n]{0,20})\b(send|share|give|paste|dm|tell|post)\b[^.\n]{0,40}\b(seed phrase|recovery phrase|secret phrase|private key)s?\b/i,
+  ],
+  ["financial-promise", /\b(guaranteed|risk[- ]free)\s+(profit|returns?|gains?|income|money)\b/i],
+  ["profanity", /\b(fuck|shit|bitch|cunt|retard)\w*/i],
+];
+
+function hostAllowed(host, allowed) {
+  return allowed.some((h) => host === h || host.endsWith(`.${h}`));
+}
+
+// Returns the reasons an answer must not be shown ([] = fine).
+//   systemPrompt  the prompt the model was given (leak check)
+//   nonce         the request's fence nonce (only the prompt contains it)
+//   sources       picked chunks; their URL hosts are allowed link targets. Leave it out while the
+//                 answer is still streaming: a half-written URL isn't worth judging yet.
+export function checkOutput(answer, { systemPrompt, nonce, sources } = {}) {
+  const text = typeof answer === "string" ? answer : "";
+  const reasons = [];
+
+  if (nonce && text.includes(nonce)) reasons.push("fence-leak");
+  const words = normalize(text).split(" ").filter(Boolean);
+  if (systemPrompt && words.length >= LEAK_NGRAM) {
+    const secret = systemNgrams(systemPrompt);
+    for (const g of ngrams(words, LEAK_NGRAM)) {
+      if (secret.has(g)) {
+        reasons.push("system-prompt-leak");
+        break;
+      }
+    }
+  }
+
+  for (const [name, re] of OFF_BRAND_PATTERNS) if (re.test(text)) reasons.push(name);
+
+  if (sources) {
+    const allowed = [...LINK_HOSTS];
+    for (const c of sources) {
+      try {
+        allowed.push(new URL(c.url).hostname.toLowerCase());
+      } catch {
+        // chunk without a usable URL
+      }
+    }
+    for (const m of text.matchAll(/https?:\/\/[^\s)<>\]"']+/gi)) {
+      let host = "";
+      try {
+        host = new URL(m[0]).hostname.toLowerCase();
+      } catch {
+        // not a URL after all
+      }
+      if (!host || !hostAllowed(host, allowed)) {
+        reasons.push("unknown-link");
+        break;
+      }
+    }
+  }
+
+  return reasons;
+}
+
+// -------------------- Logging --------------------
+// Records a blocked question, dropped source or replaced answer. Never throws.
+export async function logBlocked({ stage, reasons, session, question, chunkId, url, excerpt }) {
+  await logTo(guardLog, {
+    stage,
+    reasons,
+    session,
+    question: String(question || "").slice(0, EXCERPT_MAX),
+    ...(chunkId && { chunkId }),
+    ...(url && { url }),
+    ...(excerpt && { excerpt: String(excerpt).slice(0, EXCERPT_MAX) }),
+  });
+}
+
+export async function readGuardLog({ days = 7 } = {}) {
+  const { records } = await guardLog.read({ days });
+  return records;
+}
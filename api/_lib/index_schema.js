@@ -0,0 +1,114 @@
+// /api/_lib/index_schema.js — versioned docs_index.json format (docs_index.schema.json) + validator
+// The indexer validates before writing, the API on load. No schema library: the checker below
+// implements the keywords the schema uses (type, const, enum, required, properties,
+// additionalProperties: false, items, minLength, minimum, format: date-time).
+
+import fs from "fs";
+
+export const DOCS_INDEX_VERSION = 1;
+export const DOCS_INDEX_SCHEMA = JSON.parse(fs.readFileSync(new URL("./docs_index.schema.json", import.meta.url), "utf8"));
+
+const MAX_REPORTED_ERRORS = 20;
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeMatches(expected, v) {
+  const t = typeOf(v);
+  return expected === t || (expected === "number" && t === "integer");
+}
+
+// Appends "path: message" strings to `errors`
+function check(schema, value, at, errors) {
+  const where = at || "(root)";
+
+  if ("const" in schema && value !== schema.const) {
+    errors.push(`${where}: must be ${JSON.stringify(schema.const)} (got ${JSON.stringify(value)})`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.join(", ")} (got ${JSON.stringify(value)})`);
+    return;
+  }
+  if (schema.type && !typeMatches(schema.type, value)) {
+    errors.push(`${where}: expected ${schema.type}, got ${typeOf(value)}`);
+    return;
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength && value.length < schema.minLength) errors.push(`${where}: must not be empty`);
+    if (schema.format === "date-time" && Number.isNaN(Date.parse(value))) errors.push(`${where}: not a date-time`);
+  }
+  if (typeof value === "number" && "minimum" in schema && value < schema.minimum) {
+    errors.push(`${where}: must be >= ${schema.minimum}`);
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${where}: missing required field "${key}"`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key];
+      if (sub) check(sub, v, at ? `${at}.${key}` : key, errors);
+      else if (schema.additionalProperties === false) errors.push(`${where}: unknown field "${key}"`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => check(schema.items, item, `${at}[${i}]`, errors));
+  }
+}
+
+// Returns { errors: string[], chunks }. Top-level problems leave `chunks` empty; a malformed chunk
+// is reported and left out so one bad entry doesn't take the whole index down.
+export function validateDocsIndex(data) {
+  const errors = [];
+
+  if (Array.isArray(data) || (data && !("version" in data) && (data.chunks || data.docs))) {
+    return {
+      errors: ["(root): unversioned legacy index; rebuild it with scripts/build_docs_index.mjs"],
+      chunks: [],
+    };
+  }
+
+  // everything but the chunks first
+  const { chunks: chunksSchema, ...props } = DOCS_INDEX_SCHEMA.properties;
+  check({ ...DOCS_INDEX_SCHEMA, properties: { ...props, chunks: { type: "array" } } }, data, "", errors);
+  if (errors.length) return { errors, chunks: [] };
+
+  const chunks = [];
+  const ids = new Set();
+  const labels = new Set(data.sources.map((s) => s.source));
+
+  data.chunks.forEach((chunk, i) => {
+    const chunkErrors = [];
+    check(chunksSchema.items, chunk, `chunks[${i}]`, chunkErrors);
+    if (!chunkErrors.length) {
+      if (ids.has(chunk.id)) chunkErrors.push(`chunks[${i}].id: duplicate id "${chunk.id}"`);
+      if (!labels.has(chunk.source)) chunkErrors.push(`chunks[${i}].source: "${chunk.source}" is not in sources`);
+    }
+    if (chunkErrors.length) {
+      errors.push(...chunkErrors);
+      return;
+    }
+    ids.add(chunk.id);
+    chunks.push(chunk);
+  });
+
+  if (data.chunkCount !== data.chunks.length) {
+    errors.push(`chunkCount: ${data.chunkCount} does not match ${data.chunks.length} chunks`);
+  }
+
+  return { errors, chunks };
+}
+
+// One readable block for logs / CLI output
+export function formatSchemaErrors(errors, label = "docs_index.json") {
+  const shown = errors.slice(0, MAX_REPORTED_ERRORS).map((e) => `  - ${e}`);
+  if (errors.length > shown.length) shown.push(`  … and ${errors.length - shown.length} more`);
+  return `${label}: ${errors.length} schema error(s)\n${shown.join("\n")}`;
+}
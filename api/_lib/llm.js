@@ -0,0 +1,247 @@
+// /api/_lib/llm.js — LLM provider layer
+// Groq (default) + any OpenAI-compatible endpoint (llama.cpp, Ollama, vLLM…) + offline mock
+//
+// Env:
+//   LLM_PROVIDER     groq | openai | mock            (default: groq)
+//   LLM_MODEL        model name override
+//   LLM_TEMPERATURE  default 0.2
+//   LLM_MAX_TOKENS   default 700
+//   GROQ_API_KEY     required for groq
+//   LLM_BASE_URL     required for openai, e.g. http://localhost:8080/v1
+//   LLM_API_KEY      optional bearer token for openai
+//   LLM_JSON_MODE    set to 0 if the endpoint rejects response_format
+
+import { tokenize } from "./retrieval.js";
+
+const GROQ_BASE_URL = "https://api.groq.com/openai/v1";
+const GROQ_DEFAULT_MODEL = "llama-3.3-70b-versatile";
+
+export class ProviderError extends Error {
+  constructor(message, status = 500, details = null) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function numberFromEnv(v, fallback) {
+  const n = Number(v);
+  return v !== undefined && v !== "" && Number.isFinite(n) ? n : fallback;
+}
+
+// -------------------- SSE reader --------------------
+// Reads an upstream OpenAI-style SSE body and calls onData with every `data:` payload.
+export async function readEventStream(body, onData) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const part of body) {
+    buffer += typeof part === "string" ? part : decoder.decode(part, { stream: true });
+
+    let nl;
+    while ((nl = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, nl).replace(/\r$/, "");
+      buffer = buffer.slice(nl + 1);
+      if (line.startsWith("data:")) onData(line.slice(5).trim());
+    }
+  }
+
+  const tail = buffer.trim();
+  if (tail.startsWith("data:")) onData(tail.slice(5).trim());
+}
+
+// -------------------- OpenAI-compatible (Groq, llama.cpp, Ollama…) --------------------
+function createOpenAICompatibleProvider({ name, baseUrl, apiKey, model, temperature, maxTokens, jsonMode }) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  async function complete({ messages, json = true, stream = false, onDelta } = {}) {
+    const body = {
+      model,
+      temperature,
+      max_tokens: maxTokens,
+      messages,
+    };
+    if (json && jsonMode) body.response_format = { type: "json_object" };
+    if (stream) body.stream = true;
+
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const r = await fetch(url, { method: "POST", headers, body: JSON.stringify(body) });
+
+    if (!r.ok) {
+      const raw = await r.json().catch(() => null);
+      const msg = raw?.error?.message || raw?.error || `${name} error (${r.status})`;
+      throw new ProviderError(String(msg), r.status, raw);
+    }
+
+    if (!stream) {
+      const raw = await r.json().catch(() => null);
+      return { content: raw?.choices?.[0]?.message?.content || "" };
+    }
+
+    let content = "";
+    await readEventStream(r.body, (data) => {
+      if (!data || data === "[DONE]") return;
+      let evt;
+      try {
+        evt = JSON.parse(data);
+      } catch {
+        return;
+      }
+      const delta = evt?.choices?.[0]?.delta?.content || "";
+      if (!delta) return;
+      content += delta;
+      if (onDelta) onDelta(delta);
+    });
+
+    return { content };
+  }
+
+  return { name, model, complete };
+}
+
+// -------------------- Mock (deterministic, offline) --------------------
+// Answers from the fenced SOURCE block (see createFence in ./guard.js) that shares the most words
+// with the question, quoting its sentences that match best, so the full chat flow (retrieval →
+// prompt → parse → citations) can run locally and in tests. No source sharing a distinctive word
+// means a helper reply: when retrieval hands over the wrong chunks, the eval's grounding and
+// citation scores drop instead of staying perfect by construction.
+function parseSources(prompt) {
+  const sources = [];
+  const re = /<<<SOURCE (\d+) (\w+)>>>\n([\s\S]*?)\n<<<END SOURCE \1 \2>>>/g;
+  let m;
+  while ((m = re.exec(prompt))) {
+    const block = m[3];
+    const title = (block.match(/^TITLE: (.*)$/m) || [])[1] || "";
+    const section = (block.match(/^SECTION: (.*)$/m) || [])[1] || "";
+    const text = (block.split("CONTENT:\n")[1] || "").trim();
+    sources.push({ index: Number(m[1]), title: title.trim(), section: section.trim(), text });
+  }
+  return sources;
+}
+
+// The resolved question chat.js fences as USER INTENT (falls back to the original message)
+function parseQuestion(prompt) {
+  for (const label of ["USER INTENT", "USER MESSAGE"]) {
+    const m = prompt.match(new RegExp(`<<<${label} (\\w+)>>>\\n([\\s\\S]*?)\\n<<<END ${label} \\1>>>`));
+    if (m) return m[2];
+  }
+  return "";
+}
+
+// Question words that don't appear in every source: "gigaverse" picks nothing
+function distinctiveTerms(question, sources) {
+  const terms = new Set(tokenize(question));
+  if (sources.length < 2) return terms;
+  const bags = sources.map((s) => new Set(tokenize(`${s.title} ${s.section} ${s.text}`)));
+  return new Set([...terms].filter((t) => !bags.every((b) => b.has(t))));
+}
+
+function matches(text, terms) {
+  return new Set(tokenize(text).filter((t) => terms.has(t))).size;
+}
+
+function bestSentences(text, terms, max = 2) {
+  const parts = (text.replace(/\s+/g, " ").match(/[^.!?]+[.!?]+/g) || [text]).map((p) => p.trim());
+  const ranked = parts.map((p, i) => ({ p, i, n: matches(p, terms) })).sort((a, b) => b.n - a.n || a.i - b.i);
+  return ranked
+    .slice(0, max)
+    .sort((a, b) => a.i - b.i)
+    .map((r) => r.p)
+    .join(" ");
+}
+
+function clampQuote(text, max = 120) {
+  return text.length > max ? text.slice(0, max) : text;
+}
+
+function mockAnswer(messages) {
+  const prompt = [...messages].reverse().find((m) => m.role === "user")?.content || "";
+  const sources = parseSources(prompt).filter((s) => s.text);
+  const terms = distinctiveTerms(parseQuestion(prompt), sources);
+  // first (best-ranked) source wins ties
+  let src = null;
+  let best = 0;
+  for (const s of sources) {
+    const n = matches(`${s.title} ${s.section} ${s.text}`, terms);
+    if (n > best) [src, best] = [s, n];
+  }
+
+  if (!src) {
+    return {
+      mode: "helper",
+      answer: "I don’t see this in the sources I’m looking at. Try asking about dungeons, fishing, crafting, eggs or trading.",
+      followups: ["Do you want help with dungeons, fishing, crafting, eggs/gigglings, or trading?"],
+      citations: [],
+    };
+  }
+
+  const answer = bestSentences(src.text, terms);
+  return {
+    mode: "docs",
+    answer: `${answer} [${src.index}]`,
+    followups: [`Do you want to go deeper on ${src.title}?`],
+    citations: [{ source: src.index, quote: clampQuote(answer) }],
+  };
+}
+
+// Plain-text requests (e.g. history summaries): first line of each USER/ASSISTANT turn
+function mockText(messages) {
+  const prompt = [...messages].reverse().find((m) => m.role === "user")?.content || "";
+  const turns = prompt.match(/^(USER|ASSISTANT): .*$/gm) || [];
+  return turns.map((t) => clampQuote(t)).join("\n") || "(nothing to summarize)";
+}
+
+function createMockProvider({ model = "mock-1" } = {}) {
+  async function complete({ messages = [], json = true, stream = false, onDelta } = {}) {
+    const content = json ? JSON.stringify(mockAnswer(messages)) : mockText(messages);
+    if (stream && onDelta) {
+      for (let i = 0; i < content.length; i += 12) onDelta(content.slice(i, i + 12));
+    }
+    return { content };
+  }
+
+  return { name: "mock", model, complete };
+}
+
+// -------------------- Factory --------------------
+export function createProvider(env = process.env) {
+  const kind = (env.LLM_PROVIDER || "groq").toLowerCase();
+  const temperature = numberFromEnv(env.LLM_TEMPERATURE, 0.2);
+  const maxTokens = numberFromEnv(env.LLM_MAX_TOKENS, 700);
+  const jsonMode = env.LLM_JSON_MODE !== "0";
+
+  if (kind === "mock") return createMockProvider({ model: env.LLM_MODEL || undefined });
+
+  if (kind === "openai") {
+    if (!env.LLM_BASE_URL) throw new ProviderError("Missing LLM_BASE_URL for LLM_PROVIDER=openai");
+    return createOpenAICompatibleProvider({
+      name: "openai",
+      baseUrl: env.LLM_BASE_URL,
+      apiKey: env.LLM_API_KEY || "",
+      model: env.LLM_MODEL || "local-model",
+      temperature,
+      maxTokens,
+      jsonMode,
+    });
+  }
+
+  if (kind === "groq") {
+    if (!env.GROQ_API_KEY) {
+      throw new ProviderError("Missing GROQ_API_KEY in Vercel env vars (or set LLM_PROVIDER=mock for offline use)");
+    }
+    return createOpenAICompatibleProvider({
+      name: "groq",
+      baseUrl: GROQ_BASE_URL,
+      apiKey: env.GROQ_API_KEY,
+      model: env.LLM_MODEL || GROQ_DEFAULT_MODEL,
+      temperature,
+      maxTokens,
+      jsonMode,
+    });
+  }
+
+  throw new ProviderError(`Unknown LLM_PROVIDER "${kind}" (use groq, openai or mock)`);
+}
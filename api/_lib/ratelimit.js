@@ -0,0 +1,211 @@
+// /api/_lib/ratelimit.js — token-bucket rate limiting (per IP, per session, global) + client IP resolution
+// Buckets live in the shared store (see ./store.js) as { tokens, at }. A request costs one token from
+// every tier it is checked against and is only charged when all of them have one to spare.
+// Reads and writes aren't atomic, so concurrent requests on several instances can overdraw a bucket
+// slightly; that is fine for abuse protection.
+//
+// Budgets are "<count>/<period>": count is the burst size, refilled evenly over the period.
+// Periods: s, m / min, h / hour, d / day, optionally with a number ("10/30s", "100/2h").
+// "off" (or 0) disables a tier.
+//
+// Env:
+//   RATE_LIMIT_IP        per client IP                        (default 6/min)
+//   RATE_LIMIT_SESSION   per chat session                     (default off). Advisory only: the session
+//                        key comes from the client, so a new thread (or cookie) starts a new bucket
+//   RATE_LIMIT_GLOBAL    all clients together, across every instance sharing the store (default off)
+//   RATE_LIMIT_FEEDBACK  /api/feedback votes per client IP    (default 30/min)
+//   TRUST_PROXY          who may tell us the client IP (default: vercel on Vercel, none elsewhere)
+//                          none    the socket peer is the client; X-Forwarded-For is ignored
+//                          vercel  x-vercel-forwarded-for / x-real-ip (set by Vercel's edge, not the client)
+//                          <n>     n reverse proxies in front: the n-th X-Forwarded-For entry from the right
+//                          <list>  comma-separated proxy IPs/CIDRs: walk X-Forwarded-For from the right,
+//                                  skipping trusted hops ("10.0.0.0/8, 192.168.1.5, fd00::/8")
+
+import net from "net";
+
+const PERIODS = { s: 1, sec: 1, m: 60, min: 60, h: 3600, hour: 3600, d: 86400, day: 86400 };
+
+export function parseBudget(spec, name = "rate limit") {
+  const s = String(spec ?? "").trim().toLowerCase();
+  if (!s || s === "off" || s === "0") return null;
+  const m = s.match(/^(\d+)\s*\/\s*(\d*)\s*([a-z]+)$/);
+  if (!m || !PERIODS[m[3]] || Number(m[1]) < 1) {
+    throw new Error(`${name}: expected "<count>/<period>" like 6/min or 100/2h, or "off" (got "${spec}")`);
+  }
+  const limit = Number(m[1]);
+  const windowSec = (Number(m[2]) || 1) * PERIODS[m[3]];
+  return { limit, windowSec, perMs: limit / (windowSec * 1000) };
+}
+
+function budgetFromEnv(env, name, fallback) {
+  return parseBudget(env[name] ?? fallback, name);
+}
+
+export function rateLimitConfig(env = process.env) {
+  return {
+    ip: budgetFromEnv(env, "RATE_LIMIT_IP", "6/min"),
+    session: budgetFromEnv(env, "RATE_LIMIT_SESSION", "off"),
+    global: budgetFromEnv(env, "RATE_LIMIT_GLOBAL", "off"),
+    feedback: budgetFromEnv(env, "RATE_LIMIT_FEEDBACK", "30/min"),
+  };
+}
+
+// -------------------- Token bucket --------------------
+function refill(state, budget, now) {
+  if (!state) return budget.limit;
+  return Math.min(budget.limit, state.tokens + (now - state.at) * budget.perMs);
+}
+
+// checks: [{ scope, key, budget }] (tiers with a null budget are skipped)
+// Returns { allowed, scope, retryAfterSec, limit, remaining, resetSec, policy } where limit /
+// remaining / reset describe the tightest tier, ready for the RateLimit-* headers.
+export async function consume(store, checks, now = Date.now()) {
+  const tiers = checks.filter((c) => c.budget);
+  const states = await Promise.all(tiers.map((t) => store.get(`rl:${t.scope}:${t.key}`)));
+  const levels = tiers.map((t, i) => refill(states[i], t.budget, now));
+
+  const blocked = tiers
+    .map((t, i) => ({ t, wait: levels[i] >= 1 ? 0 : (1 - levels[i]) / t.budget.perMs }))
+    .filter((b) => b.wait > 0)
+    .sort((a, b) => b.wait - a.wait)[0];
+
+  const after = blocked ? levels : levels.map((l) => l - 1);
+  if (!blocked) {
+    await Promise.all(
+      tiers.map((t, i) => {
+        const fullInMs = (t.budget.limit - after[i]) / t.budget.perMs;
+        return store.set(`rl:${t.scope}:${t.key}`, { tokens: after[i], at: now }, Math.ceil(fullInMs) + 1000);
+      })
+    );
+  }
+
+  // the tier with the fewest requests left (relative to its size) is what the client should see
+  let tight = -1;
+  tiers.forEach((t, i) => {
+    if (tight === -1 || after[i] / t.budget.limit < after[tight] / tiers[tight].budget.limit) tight = i;
+  });
+  const t = tiers[tight];
+
+  return {
+    allowed: !blocked,
+    scope: blocked ? blocked.t.scope : "",
+    retryAfterSec: blocked ? Math.ceil(blocked.wait / 1000) : 0,
+    limit: t ? t.budget.limit : 0,
+    remaining: t ? Math.max(0, Math.floor(after[tight])) : 0,
+    resetSec: t ? Math.ceil((t.budget.limit - after[tight]) / t.budget.perMs / 1000) : 0,
+    policy: tiers.map((x) => `${x.budget.limit};w=${x.budget.windowSec}`).join(", "),
+  };
+}
+
+// IETF RateLimit header fields (draft-ietf-httpapi-ratelimit-headers) + Retry-After on 429
+export function setRateLimitHeaders(res, rl) {
+  if (!rl.policy) return;
+  res.setHeader("RateLimit-Policy", rl.policy);
+  res.setHeader("RateLimit-Limit", String(rl.limit));
+  res.setHeader("RateLimit-Remaining", String(rl.remaining));
+  res.setHeader("RateLimit-Reset", String(rl.resetSec));
+  if (!rl.allowed) res.setHeader("Retry-After", String(rl.retryAfterSec));
+}
+
+function describeWindow(sec) {
+  if (sec % 86400 === 0) return sec === 86400 ? "day" : `${sec / 86400} days`;
+  if (sec % 3600 === 0) return sec === 3600 ? "hour" : `${sec / 3600} hours`;
+  if (sec % 60 === 0) return sec === 60 ? "minute" : `${sec / 60} minutes`;
+  return `${sec} seconds`;
+}
+
+// Message for a 429, built from the budget that ran out
+export function rateLimitMessage(rl, budget, noun = "questions") {
+  const wait = `Try again in ${rl.retryAfterSec} second${rl.retryAfterSec === 1 ? "" : "s"}.`;
+  if (rl.scope === "global") return `Lots of players are asking right now. ${wait}`;
+  const what = budget?.limit === 1 ? noun.replace(/s$/, "") : noun;
+  const per = budget ? `You can send ${budget.limit} ${what} per ${describeWindow(budget.windowSec)}` : "Too many requests";
+  return `${per}${rl.scope === "session" ? " in one chat" : ""}. ${wait}`;
+}
+
+// -------------------- Client IP --------------------
+function ipToBigInt(ip) {
+  const v4 = ip.startsWith("::ffff:") && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+  if (net.isIPv4(v4)) return { v: 4, n: v4.split(".").reduce((n, o) => (n << 8n) + BigInt(Number(o)), 0n) };
+  if (!net.isIPv6(ip)) return null;
+
+  const [head, tail = ""] = ip.split("::");
+  const parts = (s) => (s ? s.split(":") : []);
+  let groups = parts(head);
+  let rest = parts(tail);
+  // an embedded IPv4 tail (::ffff:1.2.3.4 is handled above) counts as two groups
+  const last = (ip.includes("::") ? rest : groups).at(-1) || "";
+  if (net.isIPv4(last)) {
+    const n = last.split(".").map(Number);
+    const extra = [((n[0] << 8) | n[1]).toString(16), ((n[2] << 8) | n[3]).toString(16)];
+    if (ip.includes("::")) rest = [...rest.slice(0, -1), ...extra];
+    else groups = [...groups.slice(0, -1), ...extra];
+  }
+  const all = ip.includes("::") ? [...groups, ...Array(8 - groups.length - rest.length).fill("0"), ...rest] : groups;
+  return { v: 6, n: all.reduce((n, g) => (n << 16n) + BigInt(parseInt(g || "0", 16)), 0n) };
+}
+
+function parseTrusted(list) {
+  return list
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [addr, bitsRaw] = entry.split("/");
+      const ip = ipToBigInt(addr);
+      if (!ip) throw new Error(`TRUST_PROXY: "${entry}" is not an IP address or CIDR range`);
+      const size = ip.v === 4 ? 32 : 128;
+      const bits = bitsRaw === undefined ? size : Number(bitsRaw);
+      if (!Number.isInteger(bits) || bits < 0 || bits > size) throw new Error(`TRUST_PROXY: bad prefix length in "${entry}"`);
+      const shift = BigInt(size - bits);
+      return { v: ip.v, shift, net: ip.n >> shift };
+    });
+}
+
+function isTrusted(ranges, addr) {
+  const ip = ipToBigInt(addr);
+  return Boolean(ip && ranges.some((r) => r.v === ip.v && ip.n >> r.shift === r.net));
+}
+
+let trustCache = null;
+
+function trustConfig(env) {
+  const raw = String(env.TRUST_PROXY ?? (env.VERCEL ? "vercel" : "none")).trim().toLowerCase();
+  if (trustCache?.raw === raw) return trustCache;
+  let mode;
+  if (raw === "" || raw === "none" || raw === "false" || raw === "0") mode = { kind: "none" };
+  else if (raw === "vercel") mode = { kind: "vercel" };
+  else if (/^\d+$/.test(raw)) mode = { kind: "hops", hops: Number(raw) };
+  else mode = { kind: "list", ranges: parseTrusted(raw) };
+  trustCache = { raw, ...mode };
+  return trustCache;
+}
+
+const header = (req, name) => (req.headers[name] || "").toString();
+const forwardedChain = (req) =>
+  header(req, "x-forwarded-for")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+// The client address as far as the configured proxies can vouch for it. Never the left-most
+// X-Forwarded-For entry: anyone can put anything there.
+export function clientIp(req, env = process.env) {
+  const peer = (req.socket?.remoteAddress || "").toString();
+  const trust = trustConfig(env);
+
+  if (trust.kind === "vercel") {
+    const ip = header(req, "x-vercel-forwarded-for").split(",")[0].trim() || header(req, "x-real-ip").trim();
+    return ip || peer || "unknown";
+  }
+  if (trust.kind === "hops") {
+    const chain = [...forwardedChain(req), peer].filter(Boolean);
+    return chain[Math.max(0, chain.length - 1 - trust.hops)] || "unknown";
+  }
+  if (trust.kind === "list" && isTrusted(trust.ranges, peer)) {
+    const chain = forwardedChain(req);
+    while (chain.length > 1 && isTrusted(trust.ranges, chain[chain.length - 1])) chain.pop();
+    return chain.at(-1) || peer || "unknown";
+  }
+  return peer || "unknown";
+}
@@ -0,0 +1,233 @@
+// /api/_lib/retrieval.js — server-side docs index + BM25 / hybrid retrieval
+// docs_index.json (+ docs_embeddings.json) is read once per warm instance, validated against the
+// index schema (malformed chunks are logged and skipped), indexed, and reused across requests.
+// index.version is a content hash of the indexed chunks: it changes whenever docs_index.json does.
+//
+// Env:
+//   DOCS_INDEX_PATH       path to docs_index.json (default: <cwd>/docs_index.json)
+//   DOCS_EMBEDDINGS_PATH  path to docs_embeddings.json (default: next to docs_index.json)
+//   HYBRID_ALPHA          weight of BM25 vs cosine in hybrid scoring (default 0.5)
+//   SITE_URL              where the static docs_index.json is served. Last resort only, for a
+//                         function the files aren't bundled with (vercel.json includeFiles bundles
+//                         them with /api/chat); default https://$VERCEL_URL on Vercel, where
+//                         Deployment Protection can block it on previews. Never taken from request
+//                         headers: the loaded index is pinned for the instance's lifetime.
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { getEmbedder, cosine } from "./embeddings.js";
+import { validateDocsIndex, formatSchemaErrors } from "./index_schema.js";
+
+// BM25F field weights + params
+const FIELD_WEIGHTS = { title: 3, section: 2, tags: 2, text: 1 };
+const K1 = 1.2;
+const B = 0.75;
+
+const HYBRID_ALPHA = Number(process.env.HYBRID_ALPHA || 0.5);
+const MIN_COSINE = 0.3; // semantic-only hits below this are noise
+
+const INDEX_FETCH_TIMEOUT_MS = 5000;
+const EMPTY_RETRY_MS = 60_000; // an index that failed to load is retried at most this often
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "can", "do", "does", "for", "from", "how", "i",
+  "if", "in", "is", "it", "me", "my", "of", "on", "or", "so", "that", "the", "this", "to", "was",
+  "what", "when", "where", "which", "who", "why", "will", "with", "you", "your",
+]);
+
+// -------------------- Tokenizer --------------------
+function stem(t) {
+  if (t.length > 4 && t.endsWith("ies")) return t.slice(0, -3) + "y";
+  if (t.length > 3 && t.endsWith("s") && !t.endsWith("ss")) return t.slice(0, -1);
+  return t;
+}
+
+export function tokenize(s) {
+  return (typeof s === "string" ? s : "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((t) => t.length >= 2 && !STOPWORDS.has(t))
+    .map(stem);
+}
+
+// -------------------- Chunk normalization --------------------
+// Chunks are validated against docs_index.schema.json first, so only the canonical fields exist.
+export function normalizeChunk(raw) {
+  return {
+    id: raw.id,
+    source: raw.source,
+    title: raw.title,
+    section: raw.section,
+    headingPath: raw.headingPath || [],
+    tags: (raw.tags || []).join(" "),
+    url: raw.url,
+    text: raw.text,
+  };
+}
+
+export function chunksFromIndexJson(data) {
+  if (!data) return [];
+  const { errors, chunks } = validateDocsIndex(data);
+  if (errors.length) console.error(formatSchemaErrors(errors));
+  return chunks.map(normalizeChunk);
+}
+
+// -------------------- BM25 index --------------------
+export function buildIndex(chunks) {
+  const fields = Object.keys(FIELD_WEIGHTS);
+  const postings = new Map(); // term -> [{ doc, tf: { title, section, tags, text } }]
+  const lengths = []; // per doc: { title, section, tags, text }
+  const totals = Object.fromEntries(fields.map((f) => [f, 0]));
+
+  chunks.forEach((chunk, doc) => {
+    const lens = {};
+    const perTerm = new Map();
+
+    for (const f of fields) {
+      const toks = tokenize(chunk[f]);
+      lens[f] = toks.length;
+      totals[f] += toks.length;
+      for (const t of toks) {
+        if (!perTerm.has(t)) perTerm.set(t, Object.fromEntries(fields.map((x) => [x, 0])));
+        perTerm.get(t)[f] += 1;
+      }
+    }
+
+    lengths.push(lens);
+    for (const [t, tf] of perTerm) {
+      if (!postings.has(t)) postings.set(t, []);
+      postings.get(t).push({ doc, tf });
+    }
+  });
+
+  const n = chunks.length || 1;
+  const avgLen = Object.fromEntries(fields.map((f) => [f, totals[f] / n || 1]));
+
+  return { chunks, postings, lengths, avgLen, size: chunks.length };
+}
+
+export function search(index, query, k = 6) {
+  if (!index?.size) return [];
+
+  const terms = Array.from(new Set(tokenize(query)));
+  const scores = new Map();
+
+  for (const term of terms) {
+    const list = index.postings.get(term);
+    if (!list) continue;
+
+    const idf = Math.log(1 + (index.size - list.length + 0.5) / (list.length + 0.5));
+
+    for (const { doc, tf } of list) {
+      let wtf = 0;
+      for (const [f, w] of Object.entries(FIELD_WEIGHTS)) {
+        if (!tf[f]) continue;
+        const norm = 1 - B + B * (index.lengths[doc][f] / index.avgLen[f]);
+        wtf += (w * tf[f]) / norm;
+      }
+      const s = (idf * wtf * (K1 + 1)) / (wtf + K1);
+      scores.set(doc, (scores.get(doc) || 0) + s);
+    }
+  }
+
+  return Array.from(scores.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, k)
+    .map(([doc, score]) => ({ ...index.chunks[doc], _score: score }));
+}
+
+// -------------------- Hybrid (BM25 + cosine) --------------------
+// Falls back to plain BM25 when the index has no vectors or no local model is available.
+export async function hybridSearch(index, query, k = 6) {
+  const keyword = search(index, query, Math.max(k * 5, 30));
+  if (!index?.vectors) return keyword.slice(0, k);
+
+  const embedder = await getEmbedder(index.embedModel);
+  if (!embedder) return keyword.slice(0, k);
+
+  let qv;
+  try {
+    [qv] = await embedder.embed([query]);
+  } catch {
+    return keyword.slice(0, k);
+  }
+  const maxBm25 = keyword[0]?._score || 1;
+  const bm25ById = new Map(keyword.map((c) => [c.id, c._score]));
+
+  const scored = [];
+  index.chunks.forEach((chunk, doc) => {
+    const vec = index.vectors[doc];
+    const cos = vec ? cosine(qv, vec) : 0;
+    const bm25 = bm25ById.get(chunk.id) || 0;
+    if (!bm25 && cos < MIN_COSINE) return;
+
+    const score = HYBRID_ALPHA * (bm25 / maxBm25) + (1 - HYBRID_ALPHA) * Math.max(0, cos);
+    scored.push({ ...chunk, _score: score, _bm25: bm25, _cosine: cos });
+  });
+
+  return scored.sort((a, b) => b._score - a._score).slice(0, k);
+}
+
+// -------------------- Loader (once per warm instance) --------------------
+let cachedIndex = null;
+let emptyIndex = null; // { index, until }: last failed load, served until it's worth retrying
+let loading = null;
+
+function docsIndexPath() {
+  return process.env.DOCS_INDEX_PATH || path.join(process.cwd(), "docs_index.json");
+}
+
+function siteOrigin(env = process.env) {
+  if (env.SITE_URL) return env.SITE_URL.replace(/\/+$/, "");
+  return env.VERCEL_URL ? `https://${env.VERCEL_URL}` : "";
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    // not bundled with the function: fall back to the static copy on our own site
+    const origin = siteOrigin();
+    if (!origin) return null;
+    const url = `${origin}/${path.basename(file)}`;
+    const r = await fetch(url, { signal: AbortSignal.timeout(INDEX_FETCH_TIMEOUT_MS) }).catch(() => null);
+    if (!r?.ok) return null;
+    return r.json().catch(() => null);
+  }
+}
+
+// docs_embeddings.json: { model, dims, vectors: { [chunkId]: number[] } }
+function attachVectors(index, data) {
+  if (!data?.vectors || !data.model) return index;
+  const vectors = index.chunks.map((c) => data.vectors[c.id] || null);
+  if (!vectors.some(Boolean)) return index;
+  return { ...index, vectors, embedModel: data.model };
+}
+
+export async function getDocsIndex() {
+  if (cachedIndex) return cachedIndex;
+  if (emptyIndex && Date.now() < emptyIndex.until) return emptyIndex.index;
+
+  if (!loading) {
+    const file = docsIndexPath();
+    const embeddingsFile = process.env.DOCS_EMBEDDINGS_PATH || path.join(path.dirname(file), "docs_embeddings.json");
+
+    loading = Promise.all([readJson(file), readJson(embeddingsFile)])
+      .then(([data, embeddings]) => {
+        const chunks = chunksFromIndexJson(data);
+        const version = crypto.createHash("sha256").update(JSON.stringify(chunks)).digest("hex").slice(0, 16);
+        const index = { ...attachVectors(buildIndex(chunks), embeddings), version };
+        // don't pin an empty index: retry after a while
+        if (index.size) cachedIndex = index;
+        else emptyIndex = { index, until: Date.now() + EMPTY_RETRY_MS };
+        return index;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+
+  return loading;
+}
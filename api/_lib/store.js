@@ -0,0 +1,316 @@
+// /api/_lib/store.js — key/value storage adapters with TTL
+// Used for session memory and rate-limit buckets so they survive restarts and can be shared across instances.
+//
+// Interface (all async, values are JSON-serializable):
+//   get(key)              -> value | null
+//   set(key, value, ttlMs) (ttlMs optional: no expiry)
+//   expire(key, ttlMs)    -> true if the key exists
+//   del(key)
+//
+// Env:
+//   SESSION_STORE      memory | file | redis          (default: memory)
+//   SESSION_STORE_DIR  directory for the file store  (default: <tmpdir>/gigaverse-store)
+//   REDIS_URL          redis://[user:pass@]host:6379/0 or rediss:// for TLS (any Redis-protocol server)
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import net from "net";
+import tls from "tls";
+
+// -------------------- Memory --------------------
+export function createMemoryStore({ maxKeys = 10000 } = {}) {
+  const map = new Map(); // key -> { json, expiresAt }
+
+  const live = (key) => {
+    const e = map.get(key);
+    if (!e) return null;
+    if (e.expiresAt && e.expiresAt <= Date.now()) {
+      map.delete(key);
+      return null;
+    }
+    return e;
+  };
+
+  return {
+    kind: "memory",
+    async get(key) {
+      const e = live(key);
+      return e ? JSON.parse(e.json) : null;
+    },
+    async set(key, value, ttlMs) {
+      map.delete(key); // re-insert so Map order stays oldest-first
+      map.set(key, { json: JSON.stringify(value), expiresAt: ttlMs ? Date.now() + ttlMs : 0 });
+      // cap: evict oldest writes
+      while (map.size > maxKeys) map.delete(map.keys().next().value);
+    },
+    async expire(key, ttlMs) {
+      const e = live(key);
+      if (!e) return false;
+      e.expiresAt = Date.now() + ttlMs;
+      return true;
+    },
+    async del(key) {
+      map.delete(key);
+    },
+  };
+}
+
+// -------------------- File --------------------
+// One JSON file per key: { value, expiresAt }. Writes go through a temp file + rename.
+export function createFileStore({ dir = path.join(os.tmpdir(), "gigaverse-store"), sweepEvery = 500 } = {}) {
+  let ready = null;
+  let writes = 0;
+
+  const ensureDir = () => (ready ??= fs.mkdir(dir, { recursive: true }));
+  const fileFor = (key) => path.join(dir, crypto.createHash("sha1").update(key).digest("hex") + ".json");
+
+  async function read(key) {
+    try {
+      const e = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+      if (e.expiresAt && e.expiresAt <= Date.now()) {
+        await fs.unlink(fileFor(key)).catch(() => {});
+        return null;
+      }
+      return e;
+    } catch {
+      return null;
+    }
+  }
+
+  async function write(key, entry) {
+    await ensureDir();
+    const file = fileFor(key);
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(entry), "utf8");
+    await fs.rename(tmp, file);
+  }
+
+  // drop expired files now and then so the directory doesn't grow forever
+  async function sweep() {
+    const names = await fs.readdir(dir).catch(() => []);
+    const now = Date.now();
+    for (const name of names) {
+      if (!name.endsWith(".json")) continue;
+      const file = path.join(dir, name);
+      try {
+        const e = JSON.parse(await fs.readFile(file, "utf8"));
+        if (e.expiresAt && e.expiresAt <= now) await fs.unlink(file);
+      } catch {
+        // concurrent write/delete: ignore
+      }
+    }
+  }
+
+  return {
+    kind: "file",
+    async get(key) {
+      const e = await read(key);
+      return e ? e.value : null;
+    },
+    async set(key, value, ttlMs) {
+      await write(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : 0 });
+      if (++writes % sweepEvery === 0) sweep();
+    },
+    async expire(key, ttlMs) {
+      const e = await read(key);
+      if (!e) return false;
+      await write(key, { ...e, expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+    async del(key) {
+      await fs.unlink(fileFor(key)).catch(() => {});
+    },
+  };
+}
+
+// -------------------- Redis protocol (RESP2) --------------------
+// Tiny dependency-free client: works with Redis, Valkey, KeyDB, Dragonfly, Upstash (rediss://).
+function encodeCommand(args) {
+  const parts = [Buffer.from(`*${args.length}\r\n`)];
+  for (const a of args) {
+    const b = Buffer.from(String(a));
+    parts.push(Buffer.from(`$${b.length}\r\n`), b, Buffer.from("\r\n"));
+  }
+  return Buffer.concat(parts);
+}
+
+// Parses one reply starting at `offset`; returns { value, offset } or null if incomplete.
+function parseReply(buf, offset) {
+  const lineEnd = buf.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  if (type === "+") return { value: line, offset: next };
+  if (type === "-") return { value: new Error(line), offset: next };
+  if (type === ":") return { value: Number(line), offset: next };
+
+  if (type === "$") {
+    const len = Number(line);
+    if (len === -1) return { value: null, offset: next };
+    if (buf.length < next + len + 2) return null;
+    return { value: buf.toString("utf8", next, next + len), offset: next + len + 2 };
+  }
+
+  if (type === "*") {
+    const count = Number(line);
+    if (count === -1) return { value: null, offset: next };
+    const items = [];
+    let pos = next;
+    for (let i = 0; i < count; i++) {
+      const r = parseReply(buf, pos);
+      if (!r) return null;
+      items.push(r.value);
+      pos = r.offset;
+    }
+    return { value: items, offset: pos };
+  }
+
+  throw new Error(`Unexpected Redis reply type "${type}"`);
+}
+
+function createRedisConnection(redisUrl, { timeoutMs = 5000 } = {}) {
+  const u = new URL(redisUrl);
+  const secure = u.protocol === "rediss:";
+  const port = Number(u.port || 6379);
+  const db = Number((u.pathname || "/0").slice(1) || 0);
+
+  let socket = null; // set once connected
+  let current = null; // the socket being set up or in use; events from older ones are ignored
+  let connecting = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  function fail(err) {
+    while (pending.length) {
+      const p = pending.shift();
+      clearTimeout(p.timer);
+      p.reject(err);
+    }
+    current?.destroy();
+    current = null;
+    socket = null;
+    connecting = null;
+    buffer = Buffer.alloc(0);
+  }
+
+  function onData(data) {
+    buffer = buffer.length ? Buffer.concat([buffer, data]) : data;
+    let r;
+    try {
+      while (pending.length && (r = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(r.offset);
+        const p = pending.shift();
+        clearTimeout(p.timer);
+        if (r.value instanceof Error) p.reject(r.value);
+        else p.resolve(r.value);
+      }
+    } catch (err) {
+      fail(err);
+    }
+  }
+
+  // Replies arrive in order, so a command that times out leaves the connection unusable: drop it
+  // (failing everything queued on it) and let the next command reconnect.
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      if (!socket) return reject(new Error("Redis connection closed"));
+      const timer = setTimeout(() => fail(new Error(`Redis ${args[0]} timed out`)), timeoutMs);
+      pending.push({ resolve, reject, timer });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    if (socket) return Promise.resolve();
+    if (connecting) return connecting;
+
+    connecting = new Promise((resolve, reject) => {
+      const opts = { host: u.hostname, port };
+      const s = secure ? tls.connect({ ...opts, servername: u.hostname }) : net.connect(opts);
+      current = s;
+      s.setTimeout(timeoutMs, () => s.destroy(new Error("Redis connection timed out")));
+      s.on("data", (data) => s === current && onData(data));
+      s.on("error", (err) => {
+        reject(err);
+        if (s === current) fail(err);
+      });
+      s.on("close", () => s === current && fail(new Error("Redis connection closed")));
+      s.once(secure ? "secureConnect" : "connect", async () => {
+        s.setTimeout(0); // from here on each command has its own timeout (see send)
+        socket = s;
+        try {
+          const user = decodeURIComponent(u.username || "");
+          const pass = decodeURIComponent(u.password || "");
+          if (pass) await send(user ? ["AUTH", user, pass] : ["AUTH", pass]);
+          if (db) await send(["SELECT", db]);
+          resolve();
+        } catch (err) {
+          reject(err);
+          fail(err);
+        }
+      });
+    });
+
+    return connecting;
+  }
+
+  return {
+    async command(...args) {
+      await connect();
+      return send(args);
+    },
+  };
+}
+
+export function createRedisStore({ url, prefix = "giga:" } = {}) {
+  if (!url) throw new Error("Missing REDIS_URL for SESSION_STORE=redis");
+  const conn = createRedisConnection(url);
+
+  return {
+    kind: "redis",
+    async get(key) {
+      const raw = await conn.command("GET", prefix + key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+    async set(key, value, ttlMs) {
+      const args = ["SET", prefix + key, JSON.stringify(value)];
+      if (ttlMs) args.push("PX", Math.ceil(ttlMs));
+      await conn.command(...args);
+    },
+    async expire(key, ttlMs) {
+      return (await conn.command("PEXPIRE", prefix + key, Math.ceil(ttlMs))) === 1;
+    },
+    async del(key) {
+      await conn.command("DEL", prefix + key);
+    },
+  };
+}
+
+// -------------------- Factory --------------------
+let shared = null;
+
+export function createStore(env = process.env) {
+  const kind = (env.SESSION_STORE || "memory").toLowerCase();
+  if (kind === "file") return createFileStore({ dir: env.SESSION_STORE_DIR || undefined });
+  if (kind === "redis") return createRedisStore({ url: env.REDIS_URL });
+  if (kind === "memory") return createMemoryStore();
+  throw new Error(`Unknown SESSION_STORE "${kind}" (use memory, file or redis)`);
+}
+
+// Whether every instance (and every /api function) sees the same data. Memory never does; the
+// file store only when SESSION_STORE_DIR points somewhere shared or we aren't on Vercel.
+export function isSharedStore(store, env = process.env) {
+  if (store.kind === "redis") return true;
+  if (store.kind === "file") return Boolean(env.SESSION_STORE_DIR) || !env.VERCEL;
+  return false;
+}
+
+// One store per warm instance
+export function getStore() {
+  if (!shared) shared = createStore();
+  return shared;
+}
@@ -0,0 +1,14 @@
+// /api/_lib/text.js — small text helpers shared by the API modules
+
+export function normalize(s) {
+  return (typeof s === "string" ? s : "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function clampText(t, max) {
+  const s = typeof t === "string" ? t : "";
+  return s.length > max ? s.slice(0, max) : s;
+}
@@ -0,0 +1,43 @@
+// /api/admin/feedback.js — export answer feedback as JSON Lines
+// GET /api/admin/feedback?days=30&rating=not_helpful,wrong_source with `Authorization: Bearer <ADMIN_TOKEN>`
+//
+// One line per answer (its latest vote), oldest first; see ../_lib/feedback.js for the record.
+// A not-helpful line already has what an eval case needs (question, pickedChunkIds, the answer
+// given): fix expectedChunkIds / expectedFacts by hand and add it to eval/golden.json.
+//
+// Auth: see ../_lib/admin.js (ADMIN_TOKEN)
+// 503 when the feedback log isn't on shared storage (EVENTS_DIR, see ../_lib/events.js)
+
+import { requireAdmin, intParam } from "../_lib/admin.js";
+import { feedbackLog, latestVotes, FEEDBACK_RATINGS } from "../_lib/feedback.js";
+import { logStorageProblem } from "../_lib/events.js";
+
+const MAX_DAYS = 365;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return res.status(405).json({ error: "Use GET" });
+    if (!requireAdmin(req, res)) return;
+    const problem = logStorageProblem();
+    if (problem) return res.status(503).json({ error: problem });
+
+    const days = intParam(req.query?.days, 30, MAX_DAYS);
+    const ratings = String(req.query?.rating || "")
+      .split(",")
+      .map((r) => r.trim())
+      .filter(Boolean);
+    const unknown = ratings.filter((r) => !FEEDBACK_RATINGS.includes(r));
+    if (unknown.length) return res.status(400).json({ error: `Unknown rating: ${unknown.join(", ")}` });
+
+    const { records } = await feedbackLog.read({ days });
+    const votes = latestVotes(records).filter((r) => !ratings.length || ratings.includes(r.rating));
+
+    res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="feedback-${new Date().toISOString().slice(0, 10)}.jsonl"`);
+    res.setHeader("Cache-Control", "no-store");
+    res.statusCode = 200;
+    return res.end(votes.map((v) => JSON.stringify(v)).join("\n") + (votes.length ? "\n" : ""));
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || "Server error" });
+  }
+}
@@ -0,0 +1,138 @@
+// /api/admin/insights.js — what players ask and where the docs fall short (from ../_lib/events.js)
+// GET /api/admin/insights?days=7&limit=20 with `Authorization: Bearer <ADMIN_TOKEN>`
+//
+// Returns:
+//   totals          questions, docs questions, unanswered, grounded, answered from cache,
+//                   distinct sessions, avg latency
+//   daily           [{ date, questions, unanswered }] for every day in the range
+//   topics          [{ topic, questions, unanswered }]
+//   topUnanswered   docs questions that got a helper answer, most asked first
+//   lowConfidence   grounded answers with the weakest retrieval scores (scores are only comparable
+//                   within one retrieval mode, so read this as a ranking, not a threshold)
+//   guard           injection guard blocks (../_lib/guard.js): { blocked, byStage, reasons, recent },
+//                   recent = the latest blocks, newest first, to spot false positives
+//
+// Auth: see ../_lib/admin.js (ADMIN_TOKEN)
+// 503 when the event log isn't on storage shared with /api/chat (EVENTS_DIR, see ../_lib/events.js)
+
+import { requireAdmin, intParam } from "../_lib/admin.js";
+import { readEvents, logStorageProblem } from "../_lib/events.js";
+import { readGuardLog } from "../_lib/guard.js";
+import { normalize } from "../_lib/text.js";
+
+const MAX_DAYS = 90;
+const MAX_LIMIT = 100;
+
+// Questions that only differ in case or punctuation count as one
+function groupQuestions(events) {
+  const groups = new Map();
+  for (const e of events) {
+    const key = normalize(e.question);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, { question: e.question, topic: e.topic, count: 0, sessions: new Set(), scores: [], lastAsked: 0 });
+    const g = groups.get(key);
+    g.count++;
+    g.sessions.add(e.session);
+    g.scores.push(Number(e.topScore) || 0);
+    if (e.ts >= g.lastAsked) {
+      g.lastAsked = e.ts;
+      g.question = e.question;
+    }
+  }
+  return Array.from(groups.values()).map((g) => ({
+    question: g.question,
+    topic: g.topic,
+    count: g.count,
+    sessions: g.sessions.size,
+    avgTopScore: Math.round((g.scores.reduce((a, b) => a + b, 0) / g.scores.length) * 1e4) / 1e4,
+    lastAsked: new Date(g.lastAsked).toISOString(),
+  }));
+}
+
+function summarizeGuard(blocks, limit) {
+  const byStage = { question: 0, source: 0, output: 0 };
+  const reasons = new Map();
+  for (const b of blocks) {
+    byStage[b.stage] = (byStage[b.stage] || 0) + 1;
+    for (const r of b.reasons || []) reasons.set(r, (reasons.get(r) || 0) + 1);
+  }
+  return {
+    blocked: blocks.length,
+    byStage,
+    reasons: Array.from(reasons, ([reason, count]) => ({ reason, count })).sort((a, b) => b.count - a.count),
+    recent: blocks
+      .slice(-limit)
+      .reverse()
+      .map(({ session, ...b }) => ({ ...b, ts: new Date(b.ts).toISOString() })),
+  };
+}
+
+function buildInsights(events, blocks, from, limit) {
+  const docs = events.filter((e) => e.kind === "docs");
+  const unanswered = docs.filter((e) => e.mode !== "docs");
+  const grounded = docs.filter((e) => e.mode === "docs" && e.grounded);
+
+  const daily = new Map();
+  for (let t = Date.parse(`${from}T00:00:00Z`); t <= Date.now(); t += 86_400_000) {
+    daily.set(new Date(t).toISOString().slice(0, 10), { questions: 0, unanswered: 0 });
+  }
+  for (const e of events) {
+    const d = daily.get(new Date(e.ts).toISOString().slice(0, 10));
+    if (d) d.questions++;
+  }
+  for (const e of unanswered) {
+    const d = daily.get(new Date(e.ts).toISOString().slice(0, 10));
+    if (d) d.unanswered++;
+  }
+
+  const topics = new Map();
+  for (const e of docs) {
+    const key = e.topic || "other";
+    const t = topics.get(key) || { topic: key, questions: 0, unanswered: 0 };
+    t.questions++;
+    if (e.mode !== "docs") t.unanswered++;
+    topics.set(key, t);
+  }
+
+  const latencies = events.map((e) => Number(e.latencyMs)).filter(Number.isFinite);
+
+  return {
+    range: { from, to: new Date().toISOString().slice(0, 10) },
+    totals: {
+      questions: events.length,
+      docsQuestions: docs.length,
+      unanswered: unanswered.length,
+      grounded: grounded.length,
+      cached: docs.filter((e) => e.cached).length,
+      sessions: new Set(events.map((e) => e.session)).size,
+      avgLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : 0,
+    },
+    daily: Array.from(daily, ([date, d]) => ({ date, ...d })),
+    topics: Array.from(topics.values()).sort((a, b) => b.questions - a.questions),
+    topUnanswered: groupQuestions(unanswered)
+      .sort((a, b) => b.count - a.count || b.lastAsked.localeCompare(a.lastAsked))
+      .slice(0, limit),
+    lowConfidence: groupQuestions(grounded)
+      .sort((a, b) => a.avgTopScore - b.avgTopScore)
+      .slice(0, limit),
+    guard: summarizeGuard(blocks, limit),
+  };
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return res.status(405).json({ error: "Use GET" });
+    if (!requireAdmin(req, res)) return;
+    const problem = logStorageProblem();
+    if (problem) return res.status(503).json({ error: problem });
+
+    const days = intParam(req.query?.days, 7, MAX_DAYS);
+    const limit = intParam(req.query?.limit, 20, MAX_LIMIT);
+    const [{ from, events }, blocks] = await Promise.all([readEvents({ days }), readGuardLog({ days })]);
+
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json(buildInsights(events, blocks, from, limit));
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || "Server error" });
+  }
+}
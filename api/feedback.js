@@ -0,0 +1,46 @@
+// /api/feedback.js — votes on answers: helpful / not helpful / wrong source, with an optional comment
+// POST { answerId, rating, comment? } → { ok: true }
+// The answer, question and cited chunks come from the stored answer record, not from the browser
+// (see ./_lib/feedback.js). Voting again on the same answer replaces the earlier vote.
+// 503 when the store or the log isn't shared with /api/chat (see feedbackProblem in ./_lib/feedback.js).
+// Rate limited per client IP (RATE_LIMIT_FEEDBACK, see ./_lib/ratelimit.js).
+
+import { getStore } from "./_lib/store.js";
+import { feedbackLog, answerKey, feedbackProblem, FEEDBACK_RATINGS, COMMENT_MAX } from "./_lib/feedback.js";
+import { rateLimitConfig, consume, setRateLimitHeaders, rateLimitMessage, clientIp } from "./_lib/ratelimit.js";
+
+const FEEDBACK_LIMIT = rateLimitConfig().feedback;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") return res.status(405).json({ error: "Use POST" });
+
+    const store = getStore();
+    const problem = feedbackProblem(store);
+    if (problem) return res.status(503).json({ error: problem });
+
+    const rl = await consume(store, [{ scope: "feedback", key: clientIp(req), budget: FEEDBACK_LIMIT }]);
+    setRateLimitHeaders(res, rl);
+    if (!rl.allowed) {
+      return res.status(429).json({ error: rateLimitMessage(rl, FEEDBACK_LIMIT, "votes"), scope: rl.scope, retryAfter: rl.retryAfterSec });
+    }
+
+    const body = req.body || {};
+    const answerId = typeof body.answerId === "string" ? body.answerId.trim() : "";
+    const rating = typeof body.rating === "string" ? body.rating.trim() : "";
+    const comment = typeof body.comment === "string" ? body.comment.trim().slice(0, COMMENT_MAX) : "";
+
+    if (!answerId) return res.status(400).json({ error: "Missing 'answerId' string" });
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+      return res.status(400).json({ error: `'rating' must be one of ${FEEDBACK_RATINGS.join(", ")}` });
+    }
+
+    const answer = await store.get(answerKey(answerId));
+    if (!answer) return res.status(404).json({ error: "Unknown or expired answer" });
+
+    await feedbackLog.append({ answerId, rating, comment, ...answer });
+    return res.status(200).json({ ok: true });
+  } catch (err) {
+    return res.status(500).json({ error: err?.message || "Server error" });
+  }
+}
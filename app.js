@@ -1,11 +1,13 @@
 /* app.js — Gigaverse Docs AI (Vercel + Groq)
-   - Loads docs_index.json
+   - Loads the docs index manifest (docs_index/) and only the shards a question needs
    - Picks relevant chunks (lightweight search)
-   - Sends to /api/chat
+   - Sends to /api/chat (streams tokens over SSE when available)
    - Renders:
       ✅ Answer panel (latest answer only)
       ✅ Terminal chat log (history)
+      ✅ Feedback on every answer (/api/feedback)
       ✅ Sources + About views
+   - Persists chat threads in IndexedDB (keyed by gigaverse_sid)
 */
 
 (() => {
@@ -50,9 +52,15 @@
 
   // ---------- app state ----------
   const state = {
-    docs: [],
+    manifest: null, // docs_index/manifest.json
+    allDocs: null, // every chunk, loaded on demand by the Sources view
     ready: false,
     view: "chat",
+    threads: [],
+    activeThreadId: "",
+    busy: false,
+    cooldownUntil: 0, // rate limited: no asking before this (ms)
+    sourceFilter: "", // Sources view: "" = all
   };
 
   // ---------- dom ----------
@@ -65,6 +73,10 @@
     // nav (uses data-view in your HTML)
     navBtns: $$(".nav-btn[data-view]"),
 
+    // threads sidebar
+    threadList: $("#threadList"),
+    newThreadBtn: $("#newThreadBtn"),
+
     // chat
     chatLog: $("#chatLog"),
     input: $("#chatInput"),
@@ -75,13 +87,16 @@
 
     // sources view
     sourcesPre: $("#sourcesPre"),
+    sourcesFilter: $("#sourcesFilter"),
 
     // answer panel
     answerText: $("#answerText"),
     answerModeBadge: $("#answerModeBadge"),
+    answerGroundedBadge: $("#answerGroundedBadge"),
     answerMeta: $("#answerMeta"),
     answerSources: $("#answerSources"),
     answerFollowups: $("#answerFollowups"),
+    answerFeedback: $("#answerFeedback"),
   };
 
   // ---------- UX: disable Ctrl/Cmd+K palette (if any) ----------
@@ -129,35 +144,88 @@
   }
 
   // ---------- docs loading ----------
-  function normalizeDocChunk(raw, idx) {
-    const title = safeText(raw.title || raw.file || raw.source || raw.doc || "Untitled");
-    const section = safeText(raw.section || raw.heading || raw.subheading || "");
-    const text = safeText(raw.text || raw.content || raw.body || raw.chunk || "");
-    const url = safeText(raw.url || raw.link || "");
-    return { id: raw.id ?? idx, title, section, text, url };
+  // docs_index/ (built by scripts/build_docs_index.mjs): a small manifest that is revalidated on
+  // every load, plus content-hashed shards and a term -> shards dictionary that the browser can
+  // cache for good. Only the shards a question needs are fetched.
+  // Chunks follow api/_lib/docs_index.schema.json; this only guards against a stale/foreign file.
+  const DOCS_INDEX_VERSION = 1;
+  const DOCS_INDEX_BASE = "docs_index/";
+  const MAX_QUERY_SHARDS = 3;
+
+  const shardCache = new Map(); // file -> Promise<chunk[]>
+  let termsPromise = null;
+
+  function isDocChunk(c) {
+    return (
+      c &&
+      typeof c.id === "string" &&
+      typeof c.source === "string" &&
+      typeof c.title === "string" &&
+      typeof c.section === "string" &&
+      typeof c.url === "string" &&
+      typeof c.text === "string" &&
+      c.text.trim().length > 0
+    );
+  }
+
+  function normalizeDocChunk(c) {
+    return { id: c.id, source: c.source, title: c.title, section: c.section, text: c.text, url: c.url };
+  }
+
+  async function fetchIndexFile(file, init) {
+    const res = await fetch(DOCS_INDEX_BASE + file, init);
+    if (!res.ok) throw new Error(`${DOCS_INDEX_BASE}${file} failed: ${res.status}`);
+    return res.json();
+  }
+
+  // failed fetches are forgotten so the next question retries them
+  function cachedFetch(cache, file, parse) {
+    if (!cache.has(file)) {
+      const p = fetchIndexFile(file).then(parse);
+      p.catch(() => cache.delete(file));
+      cache.set(file, p);
+    }
+    return cache.get(file);
+  }
+
+  function loadShard(shard) {
+    return cachedFetch(shardCache, shard.file, (data) => {
+      const chunks = Array.isArray(data?.chunks) ? data.chunks : [];
+      const valid = chunks.filter(isDocChunk);
+      if (valid.length < chunks.length) console.warn(`${shard.file}: skipped ${chunks.length - valid.length} malformed chunk(s)`);
+      return valid.map(normalizeDocChunk);
+    });
+  }
+
+  function loadTerms() {
+    if (!termsPromise) {
+      termsPromise = fetchIndexFile(state.manifest.terms);
+      termsPromise.catch(() => (termsPromise = null));
+    }
+    return termsPromise;
+  }
+
+  // Everything, for the Sources view
+  async function loadAllDocs() {
+    if (!state.allDocs) state.allDocs = (await Promise.all(state.manifest.shards.map(loadShard))).flat();
+    return state.allDocs;
   }
 
   async function loadDocs() {
     try {
       if (dom.docsStatus) dom.docsStatus.textContent = "Loading docs…";
 
-      const res = await fetch(`docs_index.json?cb=${Date.now()}`, { cache: "no-store" });
-      if (!res.ok) throw new Error(`docs_index.json failed: ${res.status}`);
-      const data = await res.json();
-
-      const rawChunks = Array.isArray(data)
-        ? data
-        : Array.isArray(data.chunks)
-        ? data.chunks
-        : Array.isArray(data.docs)
-        ? data.docs
-        : [];
+      const manifest = await fetchIndexFile("manifest.json", { cache: "no-cache" });
+      if (manifest?.version !== DOCS_INDEX_VERSION || !Array.isArray(manifest.shards) || !manifest.terms) {
+        throw new Error(`docs index: unsupported format (version ${manifest?.version}, expected ${DOCS_INDEX_VERSION})`);
+      }
 
-      state.docs = rawChunks.map(normalizeDocChunk).filter((c) => c.text.trim().length > 0);
+      state.manifest = manifest;
       state.ready = true;
+      if (dom.docsStatus) dom.docsStatus.textContent = `Docs loaded: ${manifest.chunkCount} chunks`;
 
-      const n = state.docs.length;
-      if (dom.docsStatus) dom.docsStatus.textContent = `Docs loaded: ${n} chunks`;
+      // warm the dictionary so the first question doesn't wait for it
+      loadTerms().catch((err) => console.warn(err));
     } catch (err) {
       state.ready = false;
       if (dom.docsStatus) dom.docsStatus.textContent = "Docs failed to load";
@@ -196,14 +264,37 @@
     return score;
   }
 
-  function pickTopChunks(question, k = 8) {
+  // Shards holding the query's rarer terms first (idf-weighted)
+  async function relevantShards(qTokens) {
+    const terms = await loadTerms();
+    const shards = state.manifest.shards;
+    const scores = new Map();
+
+    for (const t of new Set(qTokens)) {
+      const list = Object.hasOwn(terms, t) ? terms[t] : null;
+      if (!Array.isArray(list) || !list.length) continue;
+      const idf = Math.log(1 + shards.length / list.length);
+      list.forEach((i) => scores.set(i, (scores.get(i) || 0) + idf));
+    }
+
+    return Array.from(scores.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_QUERY_SHARDS)
+      .map(([i]) => shards[i])
+      .filter(Boolean);
+  }
+
+  async function pickTopChunks(question, k = 8) {
     const qTokens = tokenize(question);
-    const scored = state.docs
+    const shards = await relevantShards(qTokens);
+    const docs = (await Promise.all((shards.length ? shards : state.manifest.shards.slice(0, 1)).map(loadShard))).flat();
+
+    const scored = docs
       .map((c) => ({ c, s: scoreChunk(qTokens, c) }))
       .sort((a, b) => b.s - a.s);
 
     const picked = scored.filter((x) => x.s > 0).slice(0, k).map((x) => x.c);
-    return picked.length ? picked : state.docs.slice(0, k);
+    return picked.length ? picked : docs.slice(0, k);
   }
 
   // ---------- rendering ----------
@@ -217,19 +308,20 @@
     if (meta.tag) metaLine.textContent += ` • ${meta.tag}`;
     wrapper.appendChild(metaLine);
 
+    const cites = role === "assistant" && meta.mode === "docs" ? dedupeCitations(meta.citations).slice(0, 5) : [];
+
     const body = el("div", { class: "text" });
-    body.textContent = safeText(text);
+    renderMarkdown(body, safeText(text), cites);
     wrapper.appendChild(body);
 
-    // docs citations
-    if (role === "assistant" && meta.mode === "docs" && Array.isArray(meta.citations) && meta.citations.length) {
+    // docs citations (numbered footnotes)
+    if (cites.length) {
       const cite = el("div", { class: "cite" });
-      const unique = dedupeCitations(meta.citations).slice(0, 3);
-      cite.innerHTML =
-        "Sources: " +
-        unique
-          .map((c) => `<code>${escapeHtml(c.section ? `${c.title} — ${c.section}` : c.title)}</code>`)
-          .join(" ");
+      cite.appendChild(document.createTextNode("Sources: "));
+      cites.forEach((c) => {
+        cite.appendChild(citationLink(c, `[${c.index ?? "•"}] ${citationLabel(c)}`, "cite-foot"));
+        cite.appendChild(document.createTextNode(" "));
+      });
       wrapper.appendChild(cite);
     }
 
@@ -241,46 +333,334 @@
       wrapper.appendChild(cite);
     }
 
+    if (role === "assistant" && meta.answerId) {
+      const slot = el("div", { class: "feedback" });
+      renderFeedback(slot, meta.answerId, cites.length > 0);
+      wrapper.appendChild(slot);
+    }
+
     dom.chatLog.appendChild(wrapper);
     dom.chatLog.scrollTop = dom.chatLog.scrollHeight;
     return wrapper;
   }
 
-  function escapeHtml(s) {
-    return safeText(s)
-      .replaceAll("&", "&amp;")
-      .replaceAll("<", "&lt;")
-      .replaceAll(">", "&gt;")
-      .replaceAll('"', "&quot;")
-      .replaceAll("'", "&#039;");
-  }
-
   function dedupeCitations(citations) {
     const seen = new Set();
     const out = [];
-    for (const c of citations || []) {
+    for (const c of Array.isArray(citations) ? citations : []) {
       const t = safeText(c.title).trim();
       const s = safeText(c.section).trim();
       if (!t) continue;
-      const key = `${t}__${s}`;
+      const index = Number.isInteger(c.index) ? c.index : null;
+      const key = index !== null ? `#${index}` : `${t}__${s}`;
       if (seen.has(key)) continue;
       seen.add(key);
-      out.push({ title: t, section: s });
+      out.push({ index, title: t, section: s, url: safeUrl(c.url), snippet: safeText(c.snippet).trim() });
     }
     return out;
   }
 
+  // only http(s) links make it into href
+  function safeUrl(u) {
+    try {
+      const url = new URL(safeText(u), window.location.href);
+      return url.protocol === "https:" || url.protocol === "http:" ? url.href : "";
+    } catch {
+      return "";
+    }
+  }
+
+  function citationLabel(c) {
+    return c.section ? `${c.title} — ${c.section}` : c.title;
+  }
+
+  function citationLink(c, label, className) {
+    if (!c.url) return el("code", { class: className, text: label });
+    const a = el("a", {
+      href: c.url,
+      target: "_blank",
+      rel: "noopener noreferrer",
+      text: label,
+    });
+    if (className) a.className = className;
+    if (c.snippet) a.title = c.snippet;
+    return a;
+  }
+
+  // ---------- feedback ----------
+  // Votes are kept on the answer's message (meta.feedback = { rating, comment }) so they survive reloads;
+  // the bubble and the answer panel show the same controls and are re-rendered together.
+  const FEEDBACK_OPTIONS = [
+    { rating: "helpful", label: "👍 Helpful" },
+    { rating: "not_helpful", label: "👎 Not helpful" },
+    { rating: "wrong_source", label: "Wrong source", needsCites: true },
+  ];
+  const FEEDBACK_DONE = {
+    helpful: "Thanks! Marked as helpful.",
+    not_helpful: "Thanks! Marked as not helpful.",
+    wrong_source: "Thanks! Marked as citing the wrong source.",
+  };
+
+  function answerMessage(answerId) {
+    return activeThread()?.messages.find((m) => m.role === "assistant" && m.meta?.answerId === answerId) || null;
+  }
+
+  function renderFeedback(slot, answerId, hasCites, status = "") {
+    slot.innerHTML = "";
+    slot.dataset.answerId = answerId;
+    slot.dataset.cites = hasCites ? "1" : "";
+
+    const vote = answerMessage(answerId)?.meta.feedback || null;
+    const row = el("div", { class: "feedback-row" });
+    row.appendChild(el("span", { class: "feedback-label", text: vote ? FEEDBACK_DONE[vote.rating] || "Thanks!" : "Was this answer helpful?" }));
+
+    FEEDBACK_OPTIONS.filter((o) => hasCites || !o.needsCites).forEach((o) => {
+      const btn = el("button", { class: `chip feedback-btn${vote?.rating === o.rating ? " active" : ""}`, type: "button", text: o.label });
+      btn.addEventListener("click", () => submitFeedback(answerId, o.rating, vote?.comment || ""));
+      row.appendChild(btn);
+    });
+    slot.appendChild(row);
+
+    // after a vote: optional details, once
+    if (vote && !vote.comment) {
+      const form = el("form", { class: "feedback-comment" });
+      const input = el("input", {
+        class: "input feedback-input",
+        type: "text",
+        maxlength: "1000",
+        placeholder: vote.rating === "helpful" ? "Anything to add? (optional)" : "What was wrong or missing? (optional)",
+      });
+      form.appendChild(input);
+      form.appendChild(el("button", { class: "chip", type: "submit", text: "Send" }));
+      form.addEventListener("submit", (e) => {
+        e.preventDefault();
+        const comment = safeText(input.value).trim();
+        if (comment) submitFeedback(answerId, vote.rating, comment);
+      });
+      slot.appendChild(form);
+    }
+
+    if (status) slot.appendChild(el("div", { class: "feedback-status", text: status }));
+  }
+
+  function refreshFeedback(answerId, status = "") {
+    $$(".feedback, #answerFeedback")
+      .filter((slot) => slot.dataset.answerId === answerId)
+      .forEach((slot) => renderFeedback(slot, answerId, slot.dataset.cites === "1", status));
+  }
+
+  async function submitFeedback(answerId, rating, comment) {
+    const message = answerMessage(answerId);
+    $$(".feedback, #answerFeedback")
+      .filter((slot) => slot.dataset.answerId === answerId)
+      .forEach((slot) => $$("button, input", slot).forEach((b) => (b.disabled = true)));
+
+    try {
+      const res = await fetch("/api/feedback", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ answerId, rating, comment }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || `Server error (${res.status})`);
+
+      if (message) {
+        message.meta.feedback = { rating, comment };
+        await saveThread(activeThread());
+      }
+      refreshFeedback(answerId);
+    } catch (err) {
+      refreshFeedback(answerId, `Feedback not sent: ${err.message}`);
+    }
+  }
+
+  // ---------- markdown ----------
+  // Answers come from an LLM and partly echo user input, so nothing here touches
+  // innerHTML: every piece is built as a DOM node / text node. Supports paragraphs,
+  // headings, **bold**, *italic*, `code`, ``` fences, [links](https://…), lists,
+  // pipe tables and [n] citation markers.
+  const INLINE_RE =
+    /(`[^`\n]+`)|(\*\*[^*\n]+\*\*|__[^_\n]+__)|(\*[^*\s][^*\n]*\*|\b_[^_\s][^_\n]*_\b)|(\[[^\]\n]+\]\([^)\s]+\))|(\[\d{1,2}\])/g;
+
+  function renderInline(parent, text, ctx) {
+    let last = 0;
+    let m;
+    // fresh regex per call: renderInline recurses into bold/italic/link labels
+    const re = new RegExp(INLINE_RE.source, "g");
+
+    while ((m = re.exec(text))) {
+      const [tok, code, bold, italic, link, marker] = m;
+      let node = null;
+
+      if (code) {
+        node = el("code", { text: code.slice(1, -1) });
+      } else if (bold) {
+        node = el("strong");
+        renderInline(node, bold.slice(2, -2), ctx);
+      } else if (italic) {
+        node = el("em");
+        renderInline(node, italic.slice(1, -1), ctx);
+      } else if (link) {
+        const split = link.indexOf("](");
+        const label = link.slice(1, split);
+        const href = safeUrl(link.slice(split + 2, -1));
+        if (href) {
+          node = el("a", { href, target: "_blank", rel: "noopener noreferrer" });
+          renderInline(node, label, ctx);
+        }
+      } else if (marker) {
+        const c = ctx.cites.get(Number(marker.slice(1, -1)));
+        if (c) {
+          node = el("sup", { class: "cite-ref" });
+          node.appendChild(citationLink(c, `[${c.index}]`, ""));
+        }
+      }
+
+      if (!node) continue;
+      if (m.index > last) parent.appendChild(document.createTextNode(text.slice(last, m.index)));
+      parent.appendChild(node);
+      last = m.index + tok.length;
+    }
+
+    if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
+  }
+
+  // "\|" is a literal pipe inside a cell (the docs index escapes them that way)
+  function splitTableRow(line) {
+    return line
+      .trim()
+      .replace(/^\|/, "")
+      .replace(/(?<!\\)\|$/, "")
+      .split(/(?<!\\)\|/)
+      .map((c) => c.trim().replace(/\\\|/g, "|"));
+  }
+
+  const LIST_RE = /^\s*([-*+]|\d{1,3}[.)])\s+(.*)$/;
+  const TABLE_SEP_RE = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+
+  function renderMarkdown(node, text, cites = []) {
+    node.textContent = "";
+    node.classList.add("md");
+
+    const ctx = { cites: new Map(cites.filter((c) => c.index !== null).map((c) => [c.index, c])) };
+    const lines = safeText(text).replace(/\r\n?/g, "\n").split("\n");
+    let para = [];
+
+    const flushPara = () => {
+      if (!para.length) return;
+      const p = el("p");
+      para.forEach((line, i) => {
+        if (i) p.appendChild(el("br"));
+        renderInline(p, line, ctx);
+      });
+      node.appendChild(p);
+      para = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      // fenced code
+      if (/^\s*```/.test(line)) {
+        flushPara();
+        const body = [];
+        i++;
+        while (i < lines.length && !/^\s*```/.test(lines[i])) body.push(lines[i++]);
+        const pre = el("pre");
+        pre.appendChild(el("code", { text: body.join("\n") }));
+        node.appendChild(pre);
+        continue;
+      }
+
+      // pipe table: header row + separator row
+      if (line.includes("|") && TABLE_SEP_RE.test(lines[i + 1] || "")) {
+        flushPara();
+        const table = el("table");
+        const headRow = el("tr");
+        splitTableRow(line).forEach((cell) => {
+          const th = el("th");
+          renderInline(th, cell, ctx);
+          headRow.appendChild(th);
+        });
+        table.appendChild(el("thead", {}, [headRow]));
+
+        const tbody = el("tbody");
+        i += 2;
+        while (i < lines.length && lines[i].includes("|") && lines[i].trim()) {
+          const tr = el("tr");
+          splitTableRow(lines[i]).forEach((cell) => {
+            const td = el("td");
+            renderInline(td, cell, ctx);
+            tr.appendChild(td);
+          });
+          tbody.appendChild(tr);
+          i++;
+        }
+        i--;
+        table.appendChild(tbody);
+        node.appendChild(el("div", { class: "md-table" }, [table]));
+        continue;
+      }
+
+      // lists (consecutive items of the same kind)
+      const item = line.match(LIST_RE);
+      if (item) {
+        flushPara();
+        const ordered = /\d/.test(item[1]);
+        const list = el(ordered ? "ol" : "ul");
+        if (ordered && parseInt(item[1], 10) > 1) list.setAttribute("start", String(parseInt(item[1], 10)));
+        while (i < lines.length) {
+          const m = lines[i].match(LIST_RE);
+          if (!m || /\d/.test(m[1]) !== ordered) break;
+          const li = el("li");
+          renderInline(li, m[2], ctx);
+          list.appendChild(li);
+          i++;
+        }
+        i--;
+        node.appendChild(list);
+        continue;
+      }
+
+      // headings
+      const heading = line.match(/^\s*(#{1,4})\s+(.*)$/);
+      if (heading) {
+        flushPara();
+        const h = el("div", { class: `md-h md-h${heading[1].length}` });
+        renderInline(h, heading[2], ctx);
+        node.appendChild(h);
+        continue;
+      }
+
+      if (!line.trim()) {
+        flushPara();
+        continue;
+      }
+
+      para.push(line);
+    }
+
+    flushPara();
+  }
+
   function renderAnswerPanel(out) {
     if (!dom.answerText || !dom.answerModeBadge) return;
 
-    dom.answerText.textContent = safeText(out.answer);
-
     // mode badge
     const mode = out.mode === "docs" ? "docs" : "helper";
     dom.answerModeBadge.textContent = mode === "docs" ? "DOCS" : "HELPER";
     dom.answerModeBadge.className = `badge ${mode}`;
 
-    const cites = mode === "docs" ? dedupeCitations(out.citations).slice(0, 3) : [];
+    // grounded = every citation the model gave checked out against the retrieved docs as it was;
+    // UNVERIFIED = some had to be re-pointed or dropped, so read the answer with care
+    if (dom.answerGroundedBadge) {
+      dom.answerGroundedBadge.style.display = mode === "docs" ? "" : "none";
+      dom.answerGroundedBadge.textContent = out.grounded ? "VERIFIED" : "UNVERIFIED";
+      dom.answerGroundedBadge.className = `badge ${out.grounded ? "grounded" : "ungrounded"}`;
+    }
+
+    const cites = mode === "docs" ? dedupeCitations(out.citations).slice(0, 5) : [];
+    renderMarkdown(dom.answerText, safeText(out.answer), cites);
     const followups = mode === "helper" ? (Array.isArray(out.followups) ? out.followups.slice(0, 2) : []) : [];
 
     const hasMeta = cites.length > 0 || followups.length > 0;
@@ -290,7 +670,9 @@
       dom.answerSources.innerHTML = "";
       cites.forEach((c) => {
         const li = document.createElement("li");
-        li.textContent = c.section ? `${c.title} — ${c.section}` : c.title;
+        if (c.index !== null) li.value = c.index;
+        li.appendChild(citationLink(c, citationLabel(c), "source-link"));
+        if (c.snippet) li.appendChild(el("div", { class: "source-snippet", text: `“${c.snippet}”` }));
         dom.answerSources.appendChild(li);
       });
     }
@@ -308,6 +690,19 @@
         dom.answerFollowups.appendChild(chip);
       });
     }
+
+    if (dom.answerFeedback) {
+      if (out.answerId) renderFeedback(dom.answerFeedback, out.answerId, cites.length > 0);
+      else dom.answerFeedback.innerHTML = "";
+    }
+  }
+
+  // While streaming: show partial text only, hide stale sources/followups
+  function renderAnswerProgress(text) {
+    if (!dom.answerText) return;
+    renderMarkdown(dom.answerText, text);
+    if (dom.answerMeta) dom.answerMeta.style.display = "none";
+    if (dom.answerFeedback) dom.answerFeedback.innerHTML = "";
   }
 
   function renderSourcesView() {
@@ -318,15 +713,32 @@
       return;
     }
 
+    // the overview needs every shard: fetched the first time this view opens
+    if (!state.allDocs) {
+      dom.sourcesPre.textContent = "Loading docs index…";
+      loadAllDocs()
+        .then(() => state.view === "sources" && renderSourcesView())
+        .catch((err) => {
+          console.error(err);
+          dom.sourcesPre.textContent = "Docs index shards failed to load.";
+        });
+      return;
+    }
+
+    renderSourcesFilter();
+    const all = state.allDocs;
+    const docs = state.sourceFilter ? all.filter((c) => c.source === state.sourceFilter) : all;
+
     // show a compact overview (not full massive JSON)
     const byTitle = new Map();
-    state.docs.forEach((c) => {
-      if (!byTitle.has(c.title)) byTitle.set(c.title, new Set());
-      byTitle.get(c.title).add(c.section || "(no section)");
+    docs.forEach((c) => {
+      const key = state.sourceFilter ? c.title : `${c.title} [${c.source}]`;
+      if (!byTitle.has(key)) byTitle.set(key, new Set());
+      byTitle.get(key).add(c.section || "(no section)");
     });
 
     const lines = [];
-    lines.push(`Docs chunks: ${state.docs.length}`);
+    lines.push(state.sourceFilter ? `Docs chunks: ${docs.length} of ${all.length} (source: ${state.sourceFilter})` : `Docs chunks: ${docs.length}`);
     lines.push("");
     for (const [title, sectionsSet] of byTitle.entries()) {
       const sections = Array.from(sectionsSet).slice(0, 20);
@@ -339,37 +751,412 @@
     dom.sourcesPre.textContent = lines.join("\n").trim();
   }
 
+  // one option per source label, with chunk counts
+  function renderSourcesFilter() {
+    if (!dom.sourcesFilter) return;
+
+    const counts = new Map();
+    state.allDocs.forEach((c) => counts.set(c.source, (counts.get(c.source) || 0) + 1));
+    if (state.sourceFilter && !counts.has(state.sourceFilter)) state.sourceFilter = "";
+
+    const all = document.createElement("option");
+    all.value = "";
+    all.textContent = `All sources (${state.allDocs.length})`;
+
+    const options = Array.from(counts.entries())
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([source, n]) => {
+        const opt = document.createElement("option");
+        opt.value = source;
+        opt.textContent = `${source} (${n})`;
+        return opt;
+      });
+
+    dom.sourcesFilter.replaceChildren(all, ...options);
+    dom.sourcesFilter.value = state.sourceFilter;
+  }
+
+  function wireSourcesFilter() {
+    if (!dom.sourcesFilter) return;
+    dom.sourcesFilter.addEventListener("change", () => {
+      state.sourceFilter = dom.sourcesFilter.value;
+      renderSourcesView();
+    });
+  }
+
   // ---------- server call ----------
-  async function askServer(question) {
-    const chunks = pickTopChunks(question, 8).map((c) => ({
+  function normalizeAnswer(data) {
+    return {
+      mode: data.mode === "docs" ? "docs" : "helper",
+      answer: safeText(data.answer) || "(No answer returned.)",
+      followups: Array.isArray(data.followups) ? data.followups : [],
+      citations: Array.isArray(data.citations) ? data.citations : [],
+      grounded: data.grounded === true,
+      answerId: safeText(data.answerId),
+    };
+  }
+
+  // Parses the /api/chat event stream: "token" events carry answer text,
+  // "done" carries the full payload, "error" aborts.
+  async function readAnswerStream(res, onToken) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let final = null;
+
+    const handleEvent = (raw) => {
+      let event = "message";
+      const dataLines = [];
+      raw.split("\n").forEach((line) => {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) dataLines.push(line.slice(5).trim());
+      });
+      if (!dataLines.length) return;
+
+      let data;
+      try {
+        data = JSON.parse(dataLines.join("\n"));
+      } catch {
+        return;
+      }
+
+      if (event === "token") onToken(safeText(data.text));
+      else if (event === "done") final = data;
+      else if (event === "error") throw new Error(data?.error || "Stream error");
+    };
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+
+      let sep;
+      while ((sep = buffer.indexOf("\n\n")) !== -1) {
+        const raw = buffer.slice(0, sep);
+        buffer = buffer.slice(sep + 2);
+        handleEvent(raw);
+      }
+    }
+    if (buffer.trim()) handleEvent(buffer);
+
+    if (!final) throw new Error("Stream ended before the answer was complete.");
+    return final;
+  }
+
+  async function askServer(question, onToken) {
+    // only a fallback for the server's own index: don't fail the question over a shard
+    const top = await pickTopChunks(question, 8).catch((err) => {
+      console.warn(err);
+      return [];
+    });
+    const chunks = top.map((c) => ({
       title: c.title,
       section: c.section,
       text: c.text,
       url: c.url,
     }));
 
+    const streaming = typeof onToken === "function" && typeof TextDecoder === "function";
+
     const res = await fetch("/api/chat", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      // ✅ NEW: include sessionId for memory
-      body: JSON.stringify({ question, chunks, sessionId: SESSION_ID }),
+      headers: {
+        "Content-Type": "application/json",
+        Accept: streaming ? "text/event-stream" : "application/json",
+      },
+      // server memory is per thread: sid + thread id
+      body: JSON.stringify({ question, chunks, sessionId: `${SESSION_ID}:${state.activeThreadId || "default"}` }),
     });
 
+    const contentType = res.headers.get("content-type") || "";
+    if (streaming && res.ok && res.body && contentType.includes("text/event-stream")) {
+      return normalizeAnswer(await readAnswerStream(res, onToken));
+    }
+
     const data = await res.json().catch(() => ({}));
-    if (!res.ok) throw new Error(data?.error || `Server error (${res.status})`);
+    if (!res.ok) {
+      const err = new Error(data?.error || `Server error (${res.status})`);
+      if (res.status === 429) err.retryAfter = Number(res.headers.get("retry-after")) || Number(data?.retryAfter) || 10;
+      throw err;
+    }
+
+    return normalizeAnswer(data);
+  }
 
+  // ---------- thread storage (IndexedDB) ----------
+  // One record per thread: { id, sid, title, renamed, createdAt, updatedAt, messages: [{ role, text, meta }] }
+  // Falls back to memory-only if IndexedDB is unavailable (private mode, blocked storage).
+  const DB_NAME = "gigaverse_chat";
+  const DB_STORE = "threads";
+  const ACTIVE_THREAD_KEY = "gigaverse_thread";
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve) => {
+        try {
+          const req = indexedDB.open(DB_NAME, 1);
+          req.onupgradeneeded = () => {
+            const store = req.result.createObjectStore(DB_STORE, { keyPath: "id" });
+            store.createIndex("sid", "sid", { unique: false });
+          };
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => resolve(null);
+        } catch {
+          resolve(null);
+        }
+      });
+    }
+    return dbPromise;
+  }
+
+  async function idb(mode, fn) {
+    const db = await openDb();
+    if (!db) return null;
+    return new Promise((resolve) => {
+      const tx = db.transaction(DB_STORE, mode);
+      const req = fn(tx.objectStore(DB_STORE));
+      tx.oncomplete = () => resolve(req?.result ?? null);
+      tx.onerror = () => resolve(null);
+    });
+  }
+
+  const loadThreads = async () => (await idb("readonly", (store) => store.index("sid").getAll(SESSION_ID))) || [];
+  const saveThread = (thread) => idb("readwrite", (store) => store.put(thread));
+  const deleteThreadRecord = (id) => idb("readwrite", (store) => store.delete(id));
+
+  function rememberActiveThread(id) {
+    try {
+      localStorage.setItem(ACTIVE_THREAD_KEY, id);
+    } catch {
+      // ignore: active thread just won't survive a reload
+    }
+  }
+
+  function recallActiveThread() {
+    try {
+      return localStorage.getItem(ACTIVE_THREAD_KEY) || "";
+    } catch {
+      return "";
+    }
+  }
+
+  // ---------- threads ----------
+  function makeThread() {
+    const now = Date.now();
     return {
-      mode: data.mode === "docs" ? "docs" : "helper",
-      answer: safeText(data.answer) || "(No answer returned.)",
-      followups: Array.isArray(data.followups) ? data.followups : [],
-      citations: Array.isArray(data.citations) ? data.citations : [],
+      id: "t-" + now.toString(36) + "-" + Math.random().toString(36).slice(2, 8),
+      sid: SESSION_ID,
+      title: "New chat",
+      renamed: false,
+      createdAt: now,
+      updatedAt: now,
+      messages: [],
     };
   }
 
+  function activeThread() {
+    return state.threads.find((t) => t.id === state.activeThreadId) || null;
+  }
+
+  function sortThreads() {
+    state.threads.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async function appendMessage(role, text, meta = {}) {
+    const thread = activeThread();
+    if (!thread) return;
+    thread.messages.push({ role, text, meta, at: Date.now() });
+    thread.updatedAt = Date.now();
+    if (role === "user" && !thread.renamed && thread.messages.filter((m) => m.role === "user").length === 1) {
+      thread.title = text.length > 40 ? `${text.slice(0, 40)}…` : text;
+    }
+    sortThreads();
+    renderThreadList();
+    await saveThread(thread);
+  }
+
+  // Takes back the last user message (it was never answered)
+  async function retractMessage(text) {
+    const thread = activeThread();
+    const last = thread?.messages[thread.messages.length - 1];
+    if (!last || last.role !== "user" || last.text !== text) return;
+    thread.messages.pop();
+    if (!thread.renamed && !thread.messages.some((m) => m.role === "user")) thread.title = "New chat";
+    renderThreadList();
+    await saveThread(thread);
+  }
+
+  function showWelcome() {
+    addBubble(
+      "assistant",
+      "Ask a Gigaverse question and I’ll answer using the docs. If it’s not in the docs yet, I’ll guide you to the right place.",
+      { mode: "helper" }
+    );
+  }
+
+  function resetAnswerPanel() {
+    if (dom.answerText) dom.answerText.textContent = "Ask a question to see the answer here.";
+    if (dom.answerMeta) dom.answerMeta.style.display = "none";
+    if (dom.answerGroundedBadge) dom.answerGroundedBadge.style.display = "none";
+    if (dom.answerFeedback) dom.answerFeedback.innerHTML = "";
+  }
+
+  // Rebuild the terminal + answer panel from the active thread
+  function renderActiveThread() {
+    const thread = activeThread();
+    if (dom.chatLog) dom.chatLog.innerHTML = "";
+
+    const messages = thread ? thread.messages : [];
+    if (!messages.length) {
+      resetAnswerPanel();
+      showWelcome();
+      return;
+    }
+
+    messages.forEach((m) => addBubble(m.role, m.text, m.meta || {}));
+
+    const lastAnswer = [...messages].reverse().find((m) => m.role === "assistant");
+    if (lastAnswer) renderAnswerPanel({ answer: lastAnswer.text, ...(lastAnswer.meta || {}) });
+    else resetAnswerPanel();
+  }
+
+  function renderThreadList() {
+    if (!dom.threadList) return;
+    dom.threadList.innerHTML = "";
+
+    state.threads.forEach((t) => {
+      const item = el("li", { class: `thread-item${t.id === state.activeThreadId ? " active" : ""}` });
+
+      const open = el("button", { class: "thread-open", text: t.title, title: t.title });
+      open.addEventListener("click", () => switchThread(t.id));
+
+      const rename = el("button", { class: "thread-action", text: "✎", title: "Rename" });
+      rename.addEventListener("click", () => renameThread(t.id));
+
+      const del = el("button", { class: "thread-action", text: "×", title: "Delete" });
+      del.addEventListener("click", () => removeThread(t.id));
+
+      [open, rename, del].forEach((b) => {
+        b.disabled = state.busy;
+        item.appendChild(b);
+      });
+      dom.threadList.appendChild(item);
+    });
+  }
+
+  function switchThread(id) {
+    if (state.busy || !state.threads.some((t) => t.id === id)) return;
+    state.activeThreadId = id;
+    rememberActiveThread(id);
+    renderThreadList();
+    renderActiveThread();
+    setView("chat");
+  }
+
+  async function newThread() {
+    if (state.busy) return;
+    // reuse an untouched thread instead of piling up empty ones
+    const empty = state.threads.find((t) => t.messages.length === 0);
+    const thread = empty || makeThread();
+    if (!empty) {
+      state.threads.unshift(thread);
+      await saveThread(thread);
+    }
+    switchThread(thread.id);
+    dom.input?.focus();
+  }
+
+  async function renameThread(id) {
+    const thread = state.threads.find((t) => t.id === id);
+    if (!thread || state.busy) return;
+    const name = window.prompt("Rename chat", thread.title);
+    if (name === null || !name.trim()) return;
+    thread.title = name.trim().slice(0, 80);
+    thread.renamed = true;
+    renderThreadList();
+    await saveThread(thread);
+  }
+
+  async function removeThread(id) {
+    const thread = state.threads.find((t) => t.id === id);
+    if (!thread || state.busy) return;
+    if (thread.messages.length && !window.confirm(`Delete “${thread.title}”?`)) return;
+
+    state.threads = state.threads.filter((t) => t.id !== id);
+    await deleteThreadRecord(id);
+
+    if (!state.threads.length) state.threads.push(makeThread());
+    if (state.activeThreadId === id) state.activeThreadId = state.threads[0].id;
+    rememberActiveThread(state.activeThreadId);
+    renderThreadList();
+    renderActiveThread();
+  }
+
+  async function initThreads() {
+    state.threads = (await loadThreads()).filter((t) => t && Array.isArray(t.messages));
+    if (!state.threads.length) {
+      const thread = makeThread();
+      state.threads.push(thread);
+      await saveThread(thread);
+    }
+    sortThreads();
+
+    const remembered = recallActiveThread();
+    state.activeThreadId = state.threads.some((t) => t.id === remembered) ? remembered : state.threads[0].id;
+
+    if (dom.newThreadBtn) dom.newThreadBtn.addEventListener("click", newThread);
+    renderThreadList();
+    renderActiveThread();
+  }
+
   // ---------- busy state ----------
   function setBusy(isBusy) {
-    if (dom.sendBtn) dom.sendBtn.disabled = isBusy;
+    state.busy = isBusy;
+    if (dom.sendBtn) dom.sendBtn.disabled = isBusy || coolingDown();
     if (dom.input) dom.input.disabled = isBusy;
+    if (dom.newThreadBtn) dom.newThreadBtn.disabled = isBusy;
+    renderThreadList();
+  }
+
+  // ---------- rate limit cooldown ----------
+  // The server said "not yet" (429): count down in the bubble and on the Ask button instead of
+  // showing the raw error, then hand the question back.
+  let cooldownTimer = null;
+
+  const coolingDown = () => Date.now() < state.cooldownUntil;
+
+  function startCooldown(seconds, bubble, question) {
+    state.cooldownUntil = Date.now() + seconds * 1000;
+    if (dom.input && !dom.input.value) dom.input.value = question;
+
+    const body = bubble?.querySelector(".text");
+    const meta = bubble?.querySelector(".meta");
+    if (meta) meta.textContent = "GIGUS • slow down";
+    bubble?.classList.add("cooldown");
+
+    const tick = () => {
+      const left = Math.ceil((state.cooldownUntil - Date.now()) / 1000);
+      if (left > 0) {
+        if (body) body.textContent = `That's a lot of questions at once. You can ask again in ${left}s.`;
+        if (dom.sendBtn) {
+          dom.sendBtn.textContent = `Wait ${left}s`;
+          dom.sendBtn.disabled = true;
+        }
+        return;
+      }
+      clearInterval(cooldownTimer);
+      cooldownTimer = null;
+      if (body) body.textContent = "Ready when you are. Your question is back in the box.";
+      if (dom.sendBtn) {
+        dom.sendBtn.textContent = "Ask";
+        dom.sendBtn.disabled = state.busy;
+      }
+    };
+
+    clearInterval(cooldownTimer);
+    cooldownTimer = setInterval(tick, 1000);
+    tick();
   }
 
   // ---------- chat wiring ----------
@@ -378,10 +1165,10 @@
 
     const send = async () => {
       const q = safeText(dom.input.value).trim();
-      if (!q) return;
+      if (!q || coolingDown()) return;
 
       if (!state.ready) {
-        addBubble("assistant", "Docs are not loaded yet. Refresh the page or check docs_index.json is accessible.", {
+        addBubble("assistant", "Docs are not loaded yet. Refresh the page or check docs_index/manifest.json is accessible.", {
           mode: "helper",
         });
         return;
@@ -390,33 +1177,48 @@
       dom.input.value = "";
       setBusy(true);
 
-      addBubble("user", q);
+      const asked = addBubble("user", q);
+      appendMessage("user", q);
 
       const thinking = addBubble("assistant", "Thinking…", { tag: "working" });
 
+      // stream tokens into the thinking bubble + answer panel as they arrive
+      let partial = "";
+      const onToken = (text) => {
+        if (!text) return;
+        partial += text;
+        const body = thinking?.querySelector(".text");
+        if (body) renderMarkdown(body, partial);
+        if (dom.chatLog) dom.chatLog.scrollTop = dom.chatLog.scrollHeight;
+        renderAnswerProgress(partial);
+      };
+
       try {
-        const out = await askServer(q);
+        const out = await askServer(q, onToken);
+
+        const meta = {
+          mode: out.mode,
+          tag: out.mode === "docs" && !out.grounded ? "unverified" : "",
+          citations: out.citations,
+          followups: out.followups,
+          grounded: out.grounded,
+          answerId: out.answerId,
+        };
 
         // update terminal bubble
-        if (thinking) {
-          thinking.remove();
-          addBubble("assistant", out.answer, {
-            mode: out.mode,
-            citations: out.citations,
-            followups: out.followups,
-          });
-        } else {
-          addBubble("assistant", out.answer, {
-            mode: out.mode,
-            citations: out.citations,
-            followups: out.followups,
-          });
-        }
+        if (thinking) thinking.remove();
+        addBubble("assistant", out.answer, meta);
+        appendMessage("assistant", out.answer, meta);
 
         // update answer panel (latest only)
         renderAnswerPanel(out);
       } catch (err) {
-        if (thinking) {
+        // an unanswered question must not outlive a reload (or be sent back as history): take it back
+        retractMessage(q);
+        if (err.retryAfter) {
+          asked?.remove();
+          startCooldown(err.retryAfter, thinking, q);
+        } else if (thinking) {
           const body = thinking.querySelector(".text");
           if (body) body.textContent = `Error: ${err.message}`;
           const meta = thinking.querySelector(".meta");
@@ -424,6 +1226,8 @@
         } else {
           addBubble("assistant", `Error: ${err.message}`, { mode: "helper" });
         }
+        // ...but keep it at hand for a retry
+        if (!err.retryAfter && dom.input && !dom.input.value) dom.input.value = q;
       } finally {
         setBusy(false);
         dom.input?.focus();
@@ -443,25 +1247,12 @@
   async function init() {
     killCommandPalette();
     wireNav();
+    wireSourcesFilter();
     wireChat();
     setView("chat");
 
-    await loadDocs();
-
-    // seed answer panel
-    if (dom.answerText) {
-      dom.answerText.textContent = "Ask a question to see the answer here.";
-    }
-    if (dom.answerMeta) dom.answerMeta.style.display = "none";
-
-    // optional: welcome bubble in terminal if empty
-    if (dom.chatLog && dom.chatLog.childElementCount === 0) {
-      addBubble(
-        "assistant",
-        "Ask a Gigaverse question and I’ll answer using the docs. If it’s not in the docs yet, I’ll guide you to the right place.",
-        { mode: "helper" }
-      );
-    }
+    // restore saved threads (also seeds the answer panel + welcome bubble)
+    await Promise.all([loadDocs(), initThreads()]);
   }
 
   if (document.readyState === "loading") {
@@ -1,8 +1,44 @@
 /**
  * scripts/build_docs_index.mjs
  *
- * Crawls GitBook (glhfers.gitbook.io/gigaverse) and generates docs_index.json
- * Output format: [{ id, title, section, url, text }]
+ * Builds docs_index.json from the sources listed in docs_sources.json (GitBook spaces, plain
+ * HTML sites, local Markdown folders, JSON FAQ files; see loadSources). Without that file
+ * it crawls the official GitBook (glhfers.gitbook.io/gigaverse) only.
+ * Output format (versioned, see api/_lib/docs_index.schema.json; validated before writing):
+ *   { version, builtAt, sources: [{ source, type, chunkCount }], chunkCount,
+ *     chunks: [{ id, source, title, section, headingPath, url, text, tags?, tables? }] }
+ * `source` is the label of the config entry the chunk came from ("docs", "patch-notes", ...).
+ * Pages are chunked along their heading hierarchy: `headingPath` is the breadcrumb
+ * (page title > h2 > h3 ...), `section` its last two levels ("Pots - Blue") and `url`
+ * points at the subsection (#heading-slug). Tables appear in `text` as Markdown and in
+ * `tables` as [{ caption, headers: string[], rows: string[][] }].
+ * docs_index.json is what the API loads. The browser loads docs_index/: a small manifest,
+ * content-hashed shards of the same chunks and a term -> shards dictionary (see writeShards).
+ *
+ * Also writes docs_embeddings.json ({ model, dims, vectors: { [id]: number[] } })
+ * when @huggingface/transformers is installed (set EMBEDDINGS=0 to skip).
+ *
+ * Incremental mode (--incremental or INCREMENTAL=1): uses docs_manifest.json
+ * (url -> etag, last-modified, content hash, links, chunk ids) to send conditional
+ * requests, re-chunk only changed pages and print a changelog of added / modified /
+ * removed pages. Every run (full or incremental) rewrites the manifest. The manifest also records
+ * CHUNKER_VERSION and a hash of the chunking config (see chunkingConfigHash); when either differs
+ * from this run's, the previous build is ignored and every page is chunked again.
+ *
+ * Knowledge: Markdown/MDX guides in knowledge/ (front matter: title, section, url, tags, id) are
+ * always indexed as source "knowledge". `--knowledge` (or KNOWLEDGE_ONLY=1) rebuilds just those
+ * and merges them into the existing docs_index.json without crawling anything.
+ *
+ * Discovery: the queue is seeded from sitemap.xml (sitemap indexes are followed; extra
+ * sitemaps can be listed in robots.txt). Links are only followed when no sitemap is found.
+ * robots.txt disallow/allow rules and crawl-delay are obeyed: every request to an origin (sitemaps
+ * included, failed ones too) waits out the delay, and a Retry-After on a 429/503 stretches it
+ * (capped at MAX_RETRY_AFTER_MS).
+ *
+ * Quality: after each build a report lists near-duplicate chunks, boilerplate-dominated chunks,
+ * pages that produced zero chunks and words removed by the noise rules (see index_quality.mjs for
+ * the QUALITY_* thresholds). Past a threshold the build fails without writing anything
+ * (QUALITY_GATE=0: report only). QUALITY_REPORT_FILE=<path> also saves it as JSON.
  *
  * Node: 20+ (GitHub Actions ubuntu-latest is fine)
  */
@@ -12,54 +48,126 @@ import path from "path";
 import crypto from "crypto";
 import { fileURLToPath } from "url";
 import * as cheerio from "cheerio";
+import { getEmbedder, chunkEmbeddingText } from "../api/_lib/embeddings.js";
+import { DOCS_INDEX_VERSION, validateDocsIndex, formatSchemaErrors } from "../api/_lib/index_schema.js";
+import { buildQualityReport, formatQualityReport } from "./index_quality.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const REPO_ROOT = path.resolve(__dirname, "..");
 const OUT_FILE = path.join(REPO_ROOT, "docs_index.json");
+const EMBEDDINGS_FILE = path.join(REPO_ROOT, "docs_embeddings.json");
+const MANIFEST_FILE = path.join(REPO_ROOT, "docs_manifest.json");
+const DOCS_INDEX_DIR = path.join(REPO_ROOT, "docs_index");
+const SHARDS_DIR = path.join(DOCS_INDEX_DIR, "shards");
+const SHARD_MANIFEST_FILE = path.join(DOCS_INDEX_DIR, "manifest.json");
+const SOURCES_FILE = path.resolve(REPO_ROOT, process.env.DOCS_SOURCES_FILE || "docs_sources.json");
 
 // ---- Config ----
-const START_URL = process.env.START_URL || "https://glhfers.gitbook.io/gigaverse";
-const ALLOWED_HOST = "glhfers.gitbook.io";
-const ALLOWED_PREFIX = "/gigaverse";
+const START_URL = process.env.START_URL || "https://glhfers.gitbook.io/gigaverse"; // used when there is no docs_sources.json
 
-const MAX_PAGES = Number(process.env.MAX_PAGES || 250); // safety limit
+const MAX_PAGES = Number(process.env.MAX_PAGES || 250); // safety limit per source
 const FETCH_DELAY_MS = Number(process.env.FETCH_DELAY_MS || 350); // be polite
 const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS || 20000);
+const MAX_RETRY_AFTER_MS = Number(process.env.MAX_RETRY_AFTER_MS || 120000); // longest Retry-After we wait out
 
 const CHUNK_TARGET_CHARS = Number(process.env.CHUNK_TARGET_CHARS || 1600);
 const CHUNK_OVERLAP_CHARS = Number(process.env.CHUNK_OVERLAP_CHARS || 250);
-const MIN_CHUNK_CHARS = Number(process.env.MIN_CHUNK_CHARS || 400);
+const MIN_CHUNK_CHARS = Number(process.env.MIN_CHUNK_CHARS || 120); // low: a heading section may be short
+// Bump whenever extraction or chunking changes what an unchanged page turns into (ids, text, tables):
+// incremental builds then re-chunk every page instead of reusing chunks from the old code.
+const CHUNKER_VERSION = 1;
+
+const USER_AGENT = "GigaverseDocsIndexer/1.0 (+https://github.com/21eth12/gigaverse-ai-site)";
+const ROBOTS_AGENT = "gigaversedocsindexer"; // product token matched against robots.txt user-agent lines
+const MAX_SITEMAPS = Number(process.env.MAX_SITEMAPS || 50);
+
+const INCREMENTAL = process.argv.includes("--incremental") || process.env.INCREMENTAL === "1";
+const KNOWLEDGE_ONLY = process.argv.includes("--knowledge") || process.env.KNOWLEDGE_ONLY === "1";
+const KNOWLEDGE_DIR = process.env.KNOWLEDGE_DIR || "knowledge";
+
+const SHARD_TARGET_BYTES = Number(process.env.SHARD_TARGET_BYTES || 200_000);
+
+const QUALITY_GATE = process.env.QUALITY_GATE !== "0"; // 0: report only, never fail the build
+const QUALITY_REPORT_FILE = process.env.QUALITY_REPORT_FILE ? path.resolve(REPO_ROOT, process.env.QUALITY_REPORT_FILE) : "";
 
-// Words/markers that commonly pollute GitBook exports
-const NOISE_PATTERNS = [
+const EMBEDDINGS = process.env.EMBEDDINGS !== "0";
+const EMBED_BATCH = Number(process.env.EMBED_BATCH || 16);
+
+// Icon names GitBook leaves in the text: never real words, dropped wherever they appear
+const NOISE_MARKERS = [
   /arrow-up-right/gi,
   /chevron-left/gi,
   /chevron-right/gi,
   /hashtag/gi,
-  /\bcopy\b/gi,
-  /\bedit\b/gi,
-  /\bsearch\b/gi,
   /\bpowered by gitbook\b/gi,
-  /\bprevious\b/gi,
-  /\bnext\b/gi,
 ];
 
+// UI labels (buttons, pager): only dropped when a line is nothing but the label, so
+// "the next dungeon" or "copy the code" survive
+const NOISE_LABELS = /^[ \t]*(copy|edit|search|previous|next)[ \t]*$/gim;
+
+// word -> { count, samples } of everything the rules above removed this run (see index_quality.mjs)
+const noiseRemoved = new Map();
+const MAX_NOISE_SAMPLES = 3;
+
+function removeNoise(t, re) {
+  return t.replace(re, (match, ...args) => {
+    const offset = args[args.length - 2];
+    const word = match.trim().toLowerCase();
+    const e = noiseRemoved.get(word) || { count: 0, samples: [] };
+    e.count++;
+    const sample = t.slice(Math.max(0, offset - 30), offset + match.length + 30).replace(/\s+/g, " ").trim();
+    if (e.samples.length < MAX_NOISE_SAMPLES && sample !== word && !e.samples.includes(sample)) e.samples.push(sample);
+    noiseRemoved.set(word, e);
+    return " ";
+  });
+}
+
 // ---- Helpers ----
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
+// Retry-After is either delta-seconds or an HTTP date; returns ms to wait (0 = none given)
+function retryAfterMs(value) {
+  if (!value) return 0;
+  const ms = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) && ms > 0 ? Math.min(ms, MAX_RETRY_AFTER_MS) : 0;
+}
+
+// Spaces out requests to one origin: each fetch starts at least `delayMs` after the previous one
+// finished (whatever its outcome), or later when the server asked for it with Retry-After.
+function createPacer(delayMs) {
+  let nextAt = Date.now() + delayMs; // robots.txt was just fetched
+  return {
+    delayMs,
+    async run(fetchFn) {
+      const wait = nextAt - Date.now();
+      if (wait > 0) await sleep(wait);
+      let res;
+      try {
+        res = await fetchFn();
+        return res;
+      } finally {
+        const backoff = res?.retryAfterMs || 0;
+        if (backoff > delayMs) console.log(`  .. server asked us to wait ${Math.ceil(backoff / 1000)}s`);
+        nextAt = Date.now() + Math.max(delayMs, backoff);
+      }
+    },
+  };
+}
+
 function stableId(input) {
   return crypto.createHash("sha1").update(input).digest("hex").slice(0, 10);
 }
 
-function normalizeUrl(raw, baseUrl) {
+function normalizeUrl(raw, baseUrl, src) {
   try {
     const u = new URL(raw, baseUrl);
-    // only allow same host and under prefix
-    if (u.host !== ALLOWED_HOST) return null;
-    if (!u.pathname.startsWith(ALLOWED_PREFIX)) return null;
+    // only allow the source's host and pages under its prefix
+    if (u.host !== src.host) return null;
+    if (!u.pathname.startsWith(src.prefix)) return null;
     // remove hash + normalize trailing slash
     u.hash = "";
     // keep query off (GitBook sometimes adds tracking)
@@ -81,11 +189,9 @@ function cleanText(s) {
   // Replace non-breaking spaces etc
   t = t.replace(/\u00A0/g, " ");
 
-  // Remove noise markers
-  for (const re of NOISE_PATTERNS) t = t.replace(re, " ");
-
-  // Remove repeated "hashtaghashtag..." kind of sequences
-  t = t.replace(/(hashtag\s*){2,}/gi, " ");
+  // Remove noise markers and stand-alone UI labels
+  for (const re of NOISE_MARKERS) t = removeNoise(t, re);
+  t = removeNoise(t, NOISE_LABELS);
 
   // Collapse whitespace
   t = t.replace(/[ \t]+\n/g, "\n");
@@ -98,21 +204,6 @@ function cleanText(s) {
   return t;
 }
 
-function dedupeLines(text) {
-  // Dedupe exact repeated lines/paragraphs while keeping order
-  const parts = text.split(/\n{2,}/);
-  const seen = new Set();
-  const out = [];
-  for (const p of parts) {
-    const key = p.trim();
-    if (!key) continue;
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push(key);
-  }
-  return out.join("\n\n");
-}
-
 function chunkByParagraphs(text, targetChars, overlapChars) {
   const paras = text.split(/\n{2,}/).map((p) => p.trim()).filter(Boolean);
   const chunks = [];
@@ -149,9 +240,10 @@ function chunkByParagraphs(text, targetChars, overlapChars) {
     if (currentLen + p.length + 2 > targetChars && currentLen > 0) {
       pushChunk();
 
-      // overlap: carry last overlapChars worth of text into next chunk
+      // overlap: carry last overlapChars worth of text into next chunk (never half a table)
       const prev = current.join("\n\n");
-      const carry = prev.slice(Math.max(0, prev.length - overlapChars)).trim();
+      const endsWithTable = /^(TABLE: |\| )/.test(current[current.length - 1]);
+      const carry = endsWithTable ? "" : prev.slice(Math.max(0, prev.length - overlapChars)).trim();
       current = carry ? [carry] : [];
       currentLen = carry.length;
     }
@@ -165,25 +257,210 @@ function chunkByParagraphs(text, targetChars, overlapChars) {
   return chunks;
 }
 
-async function fetchWithTimeout(url) {
+// Chunks every heading section separately. A section too short to stand alone (e.g. a one-line
+// intro above its subsections) is carried into the next, deeper section instead of being lost.
+function chunkSections(sections) {
+  const out = [];
+  let carry = null;
+
+  sections.forEach((sec, i) => {
+    const text = carry ? `${carry.text}\n\n${sec.text}` : sec.text;
+    const tables = carry ? [...carry.tables, ...sec.tables] : sec.tables;
+    carry = null;
+
+    const next = sections[i + 1];
+    if (text.length < MIN_CHUNK_CHARS && next && next.headingPath.length > sec.headingPath.length) {
+      carry = { text, tables };
+      return;
+    }
+
+    for (const chunkText of chunkByParagraphs(text, CHUNK_TARGET_CHARS, CHUNK_OVERLAP_CHARS)) {
+      out.push({
+        headingPath: sec.headingPath,
+        anchor: sec.anchor,
+        text: chunkText,
+        // markdown went through cleanText with the rest of the section, so compare cleaned
+        tables: tables.filter((t) => chunkText.includes(cleanText(t.markdown))).map(({ markdown, ...t }) => t),
+      });
+    }
+  });
+
+  return out;
+}
+
+// Returns { status, html, etag, lastModified, retryAfterMs }; status 304 means "unchanged since the manifest".
+async function fetchPage(url, prev) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
 
+  const headers = {
+    "user-agent": USER_AGENT,
+    "accept": "text/html,application/xhtml+xml",
+  };
+  if (prev?.etag) headers["if-none-match"] = prev.etag;
+  if (prev?.lastModified) headers["if-modified-since"] = prev.lastModified;
+
   try {
-    const res = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        "user-agent": "GigaverseDocsIndexer/1.0 (+https://github.com/21eth12/gigaverse-ai-site)",
-        "accept": "text/html,application/xhtml+xml",
-      },
-    });
-    if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
-    return await res.text();
+    const res = await fetch(url, { signal: controller.signal, headers });
+    const etag = res.headers.get("etag") || prev?.etag || "";
+    const lastModified = res.headers.get("last-modified") || prev?.lastModified || "";
+
+    if (res.status === 304) return { status: 304, html: "", etag, lastModified };
+    if (!res.ok) {
+      return { status: res.status, html: "", etag: "", lastModified: "", retryAfterMs: retryAfterMs(res.headers.get("retry-after")) };
+    }
+    return { status: res.status, html: await res.text(), etag, lastModified };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Plain GET for robots.txt / sitemaps. Returns { status, text, retryAfterMs } (status 0 on network error).
+async function fetchText(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: controller.signal, headers: { "user-agent": USER_AGENT } });
+    return { status: res.status, text: res.ok ? await res.text() : "", retryAfterMs: retryAfterMs(res.headers.get("retry-after")) };
+  } catch {
+    return { status: 0, text: "" };
   } finally {
     clearTimeout(timeout);
   }
 }
 
+// ---- robots.txt ----
+// Picks the group for our user-agent (or "*"); returns { rules: [{ allow, pattern }], crawlDelay, sitemaps }.
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const m = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!m) continue;
+    const key = m[1].toLowerCase();
+    const value = m[2].trim();
+
+    if (key === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (key === "user-agent") {
+      // consecutive user-agent lines share one group
+      if (!lastWasAgent) groups.push((group = { agents: [], rules: [], crawlDelay: 0 }));
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!group) continue;
+
+    if (key === "allow" || key === "disallow") {
+      // an empty Disallow means "allow everything"
+      if (value) group.rules.push({ allow: key === "allow", pattern: value });
+    } else if (key === "crawl-delay") {
+      const n = Number(value);
+      if (Number.isFinite(n) && n > 0) group.crawlDelay = n;
+    }
+  }
+
+  const ours = groups.filter((g) => g.agents.some((a) => a !== "*" && ROBOTS_AGENT.includes(a)));
+  const chosen = ours.length ? ours : groups.filter((g) => g.agents.includes("*"));
+
+  return {
+    rules: chosen.flatMap((g) => g.rules),
+    crawlDelay: Math.max(0, ...chosen.map((g) => g.crawlDelay)),
+    sitemaps,
+  };
+}
+
+function robotsPatternToRegex(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+// Longest matching rule wins; Allow wins ties (RFC 9309)
+function robotsAllows(robots, urlStr) {
+  const u = new URL(urlStr);
+  const target = u.pathname + u.search;
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!robotsPatternToRegex(rule.pattern).test(target)) continue;
+    if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+// Missing robots.txt (4xx) = no restrictions. Unreachable (5xx / network) = don't crawl at all,
+// which also keeps a flaky run from overwriting the index with nothing.
+async function loadRobots(origin) {
+  const url = `${origin}/robots.txt`;
+  const { status, text } = await fetchText(url);
+  if (status >= 200 && status < 300) return parseRobots(text);
+  if (status >= 400 && status < 500) return { rules: [], crawlDelay: 0, sitemaps: [] };
+  throw new Error(`robots.txt unreachable (${status ? `HTTP ${status}` : "network error"}): ${url}`);
+}
+
+// ---- Sitemaps ----
+function xmlLocs(xml, parentTag) {
+  const out = [];
+  const re = new RegExp(`<${parentTag}\\b[^>]*>[\\s\\S]*?<loc>\\s*([\\s\\S]*?)\\s*</loc>`, "gi");
+  for (const m of xml.matchAll(re)) {
+    out.push(
+      m[1]
+        .replace(/^<!\[CDATA\[|\]\]>$/g, "")
+        .replace(/&amp;/g, "&")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .trim()
+    );
+  }
+  return out;
+}
+
+// Follows sitemap indexes; returns normalized page URLs in sitemap order.
+async function loadSitemapUrls(sitemapUrls, robots, src, pacer) {
+  const pending = [...sitemapUrls];
+  const seen = new Set();
+  const pages = new Set();
+
+  while (pending.length && seen.size < MAX_SITEMAPS) {
+    const url = pending.shift();
+    if (seen.has(url)) continue;
+    seen.add(url);
+
+    const { status, text } = await pacer.run(() => fetchText(url));
+    if (!text) {
+      if (status && status !== 404) console.log(`  !! sitemap ${url}: HTTP ${status}`);
+      continue;
+    }
+
+    const children = xmlLocs(text, "sitemap");
+    pending.push(...children);
+
+    let added = 0;
+    for (const loc of xmlLocs(text, "url")) {
+      const u = normalizeUrl(loc, url, src);
+      if (!u || pages.has(u) || !robotsAllows(robots, u)) continue;
+      pages.add(u);
+      added++;
+    }
+    console.log(`  .. sitemap ${url}: ${added} pages${children.length ? `, ${children.length} child sitemaps` : ""}`);
+  }
+
+  return Array.from(pages);
+}
+
 function pickBestTitle($) {
   // Prefer h1 inside main/article, fallback to first h1, then <title>
   const t1 = cleanText($("main h1").first().text());
@@ -201,13 +478,12 @@ function pickBestTitle($) {
   return "Gigaverse Docs";
 }
 
-function inferSectionFromUrl(urlStr) {
-  // Basic section from path segments: /gigaverse/<group>/<page>
+function inferSectionFromUrl(urlStr, prefix = "/") {
+  // Basic section from path segments: <prefix>/<group>/<page>
   try {
     const u = new URL(urlStr);
-    const segs = u.pathname.split("/").filter(Boolean);
-    const idx = segs.indexOf("gigaverse");
-    const after = idx >= 0 ? segs.slice(idx + 1) : segs;
+    const rest = u.pathname.startsWith(prefix) ? u.pathname.slice(prefix.length) : u.pathname;
+    const after = rest.split("/").filter(Boolean);
     if (after.length === 0) return "Overview";
     // Use first segment as "section group"
     const first = after[0].replace(/-/g, " ");
@@ -217,11 +493,88 @@ function inferSectionFromUrl(urlStr) {
   }
 }
 
-function extractMainText($) {
+// ---- Tables ----
+const TABLE_SELECTOR = "table, [role='table']";
+const ROW_SELECTOR = "tr, [role='row']";
+const CELL_SELECTOR = "th, td, [role='columnheader'], [role='rowheader'], [role='cell'], [role='gridcell']";
+
+// Reads a <table> (or GitBook's div-based role="table") into { caption, headers, rows }.
+function parseTable($, el) {
+  const $table = $(el);
+  const rows = [];
+  let headers = null;
+
+  $table.find(ROW_SELECTOR).each((_, tr) => {
+    // skip rows that belong to a nested table
+    if ($(tr).closest(TABLE_SELECTOR).get(0) !== el) return;
+    const $cells = $(tr).children(CELL_SELECTOR);
+    if (!$cells.length) return;
+
+    const cells = $cells.map((_, td) => cleanText($(td).text()).replace(/\s*\n+\s*/g, " ")).get();
+    const isHeader =
+      !headers && !rows.length && $cells.toArray().every((td) => td.tagName === "th" || $(td).attr("role") === "columnheader");
+    if (isHeader) headers = cells;
+    else if (cells.some(Boolean)) rows.push(cells);
+  });
+
+  const width = Math.max(headers?.length || 0, ...rows.map((r) => r.length));
+  if (!width || !rows.length) return null;
+
+  const pad = (r) => Array.from({ length: width }, (_, i) => r[i] || "");
+  return {
+    caption: cleanText($table.find("caption").first().text()),
+    headers: headers ? pad(headers) : Array.from({ length: width }, (_, i) => `Column ${i + 1}`),
+    rows: rows.map(pad),
+  };
+}
+
+function tableToMarkdown({ caption, headers, rows }) {
+  const cell = (s) => s.replace(/\|/g, "\\|");
+  const line = (cells) => `| ${cells.map(cell).join(" | ")} |`;
+  return [caption ? `TABLE: ${caption}` : "", line(headers), line(headers.map(() => "---")), ...rows.map(line)]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Big tables are split by rows into parts that each fit a chunk; every part repeats the header.
+function splitTable(table, targetChars) {
+  const parts = [];
+  let rows = [];
+  let len = tableToMarkdown({ ...table, rows: [] }).length;
+
+  for (const row of table.rows) {
+    const rowLen = tableToMarkdown({ headers: row, rows: [] }).split("\n")[0].length + 1;
+    if (rows.length && len + rowLen > targetChars) {
+      parts.push({ ...table, rows });
+      rows = [];
+      len = tableToMarkdown({ ...table, rows: [] }).length;
+    }
+    rows.push(row);
+    len += rowLen;
+  }
+  if (rows.length) parts.push({ ...table, rows });
+
+  return parts.map((t) => ({ ...t, markdown: tableToMarkdown(t) }));
+}
+
+function slugify(s) {
+  return s
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, "")
+    .trim()
+    .replace(/[\s-]+/g, "-");
+}
+
+// Splits the page along its h1–h4 hierarchy.
+// Returns [{ headingPath: string[], anchor, text, tables }] in document order; content before the
+// first heading gets the page title as its path and no anchor. Tables are rendered into `text`
+// as Markdown and kept structured in `tables` (one entry per part, see splitTable).
+function extractSections($, pageTitle, selector) {
   // GitBook typically renders content in <main> with an <article>
-  // We'll try a few selectors; then strip nav/footer/aside/code-copy junk.
+  // We'll try a few selectors (a source can name its own); then strip nav/footer/aside/code-copy junk.
 
-  let $root = $("main article").first();
+  let $root = selector ? $(selector).first() : $();
+  if ($root.length === 0) $root = $("main article").first();
   if ($root.length === 0) $root = $("article").first();
   if ($root.length === 0) $root = $("main").first();
   if ($root.length === 0) $root = $("body");
@@ -235,18 +588,64 @@ function extractMainText($) {
   // Remove SVG/icon-only elements
   $root.find("svg").remove();
 
-  // Convert content to paragraph-ish blocks:
-  // Grab headings + paragraphs + list items + table text + code blocks.
-  const blocks = [];
+  const sections = [];
+  const stack = []; // open headings: [{ level, text }]
+  const usedAnchors = new Set();
+  const seen = new Set(); // exact repeated blocks (e.g. <p> inside <li>) are kept once per page
+  let current = { headingPath: [pageTitle], anchor: "", blocks: [], tables: [] };
+
+  const anchorFor = (el, text) => {
+    const own = $(el).attr("id") || $(el).find("[id]").first().attr("id") || "";
+    const base = own || slugify(text) || "section";
+    let anchor = base;
+    for (let n = 1; usedAnchors.has(anchor); n++) anchor = `${base}-${n}`;
+    usedAnchors.add(anchor);
+    return anchor;
+  };
 
-  const candidates = $root.find("h1,h2,h3,h4,p,li,blockquote,pre,code,table");
+  // Grab headings + paragraphs + list items + table text + code blocks.
+  const candidates = $root.find(`h1,h2,h3,h4,p,li,blockquote,pre,code,${TABLE_SELECTOR}`);
   candidates.each((_, el) => {
     const tag = el.tagName?.toLowerCase?.() || "";
     let txt = "";
 
+    const heading = tag.match(/^h([1-4])$/);
+    if (heading) {
+      txt = cleanText($(el).text());
+      if (!txt) return;
+      const level = Number(heading[1]);
+      while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+      stack.push({ level, text: txt });
+
+      sections.push(current);
+      // the page title is always the root of the breadcrumb
+      const path = stack.map((h) => h.text);
+      current = {
+        headingPath: path[0] === pageTitle ? path : [pageTitle, ...path],
+        anchor: level === 1 ? "" : anchorFor(el, txt),
+        blocks: [txt],
+        tables: [],
+      };
+      return;
+    }
+
+    // cells are read by parseTable; don't pick up their <p>/<li>/<code> a second time
+    const $table = $(el).closest(TABLE_SELECTOR);
+    if ($table.length && $table.get(0) !== el) return;
+
+    if (tag === "table" || $(el).attr("role") === "table") {
+      const table = parseTable($, el);
+      if (!table) return;
+      for (const part of splitTable(table, CHUNK_TARGET_CHARS)) {
+        current.blocks.push(part.markdown);
+        current.tables.push(part);
+      }
+      return;
+    }
+
     if (tag === "pre") {
       txt = $(el).text();
-      txt = txt ? `\n\nCODE:\n${txt}\n` : "";
+      txt = txt ? `CODE:\n${txt}` : "";
     } else if (tag === "code") {
       // avoid double-counting code inside pre; but keep inline if meaningful
       const parentTag = $(el).parent()?.get(0)?.tagName?.toLowerCase?.();
@@ -257,17 +656,18 @@ function extractMainText($) {
     }
 
     txt = cleanText(txt);
-    if (txt) blocks.push(txt);
+    if (!txt || seen.has(txt)) return;
+    seen.add(txt);
+    current.blocks.push(txt);
   });
+  sections.push(current);
 
-  let text = blocks.join("\n\n");
-  text = cleanText(text);
-  text = dedupeLines(text);
-
-  return text;
+  return sections
+    .map(({ headingPath, anchor, blocks, tables }) => ({ headingPath, anchor, text: cleanText(blocks.join("\n\n")), tables }))
+    .filter((sec) => sec.text);
 }
 
-function extractLinks($, pageUrl) {
+function extractLinks($, pageUrl, src) {
   const links = new Set();
 
   $("a[href]").each((_, a) => {
@@ -277,7 +677,7 @@ function extractLinks($, pageUrl) {
     // Skip mailto/tel/javascript
     if (/^(mailto:|tel:|javascript:)/i.test(href)) return;
 
-    const norm = normalizeUrl(href, pageUrl);
+    const norm = normalizeUrl(href, pageUrl, src);
     if (!norm) return;
 
     links.add(norm);
@@ -286,76 +686,741 @@ function extractLinks($, pageUrl) {
   return Array.from(links);
 }
 
-// ---- Main crawl ----
-async function main() {
-  const visited = new Set();
-  const queue = [START_URL];
+// ---- Previous build (manifest + outputs) ----
+function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
 
-  const out = [];
+function contentHash(s) {
+  return crypto.createHash("sha256").update(s).digest("hex").slice(0, 16);
+}
 
-  console.log(`Start crawl: ${START_URL}`);
-  console.log(`Output file: ${OUT_FILE}`);
+// Everything besides the code (CHUNKER_VERSION) that shapes a page's chunks
+function chunkingConfigHash(sources) {
+  const noise = [...NOISE_MARKERS, NOISE_LABELS].map(String);
+  const perSource = sources.map(({ source, type, idPrefix, selector, prefix }) => ({ source, type, idPrefix, selector, prefix }));
+  return contentHash(JSON.stringify([CHUNK_TARGET_CHARS, CHUNK_OVERLAP_CHARS, MIN_CHUNK_CHARS, ID_PREFIX, noise, perSource]));
+}
+
+function loadPreviousBuild(stamp) {
+  const manifest = readJsonFile(MANIFEST_FILE, { pages: {} });
+  const stale = manifest.chunker !== stamp.chunker || manifest.config !== stamp.config;
+  if (stale && !KNOWLEDGE_ONLY) {
+    console.log("Chunker or chunking config changed since the last build: re-chunking every page");
+    return { ...emptyBuild(), stamp };
+  }
+  // --knowledge can't re-crawl: it keeps the other sources' chunks, and their old stamp with them
+  if (stale) console.log("Chunker or chunking config changed since the last build: run a full build to re-chunk the crawled pages");
+  const index = readJsonFile(OUT_FILE, []);
+  // a bare array is the pre-versioning format: all of it came from the GitBook
+  const chunks = Array.isArray(index) ? index.map((c) => ({ source: "docs", ...c })) : index?.chunks || [];
+
+  const chunksByUrl = new Map();
+  for (const c of chunks) {
+    const pageUrl = String(c.url || "").split("#")[0];
+    if (!chunksByUrl.has(pageUrl)) chunksByUrl.set(pageUrl, []);
+    chunksByUrl.get(pageUrl).push(c);
+  }
+
+  return {
+    stamp: stale ? { chunker: manifest.chunker, config: manifest.config } : stamp,
+    pages: manifest.pages || {},
+    sources: Array.isArray(index?.sources) ? index.sources : [],
+    chunks,
+    chunksByUrl,
+    embeddings: readJsonFile(EMBEDDINGS_FILE, null),
+  };
+}
+
+function emptyBuild() {
+  return { pages: {}, sources: [], chunks: [], chunksByUrl: new Map(), embeddings: null };
+}
+
+function printChangelog(changes) {
+  const lines = [
+    "## Docs index changelog",
+    "",
+    `Added: ${changes.added.length} • Modified: ${changes.modified.length} • Removed: ${changes.removed.length} • Unchanged: ${changes.unchanged.length}`,
+  ];
+  for (const [label, urls] of [["Added", changes.added], ["Modified", changes.modified], ["Removed", changes.removed]]) {
+    if (!urls.length) continue;
+    lines.push("", `### ${label}`);
+    urls.forEach((u) => lines.push(`- ${u}`));
+  }
+
+  const text = lines.join("\n");
+  console.log(`\n${text}`);
+
+  // show it on the Actions run page too
+  if (process.env.GITHUB_STEP_SUMMARY) fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, `${text}\n`);
+}
+
+// ---- Embeddings ----
+// Vectors in `previous` are reused for `reuseIds` (chunks of unchanged pages) when the model matches.
+async function writeEmbeddings(chunks, { previous = null, reuseIds = new Set() } = {}) {
+  const embedder = await getEmbedder();
+  if (!embedder) {
+    console.log("\nEmbeddings skipped: no local model (npm install @huggingface/transformers)");
+    return;
+  }
 
-  while (queue.length > 0 && visited.size < MAX_PAGES) {
+  const reuse = new Map();
+  if (previous?.model === embedder.model) {
+    for (const id of reuseIds) if (previous.vectors?.[id]) reuse.set(id, previous.vectors[id]);
+  }
+
+  const vectors = {};
+  let dims = 0;
+  const todo = [];
+  for (const c of chunks) {
+    const vec = reuse.get(c.id);
+    if (vec) {
+      vectors[c.id] = vec;
+      dims = vec.length;
+    } else {
+      todo.push(c);
+    }
+  }
+
+  console.log(`\nEmbedding ${todo.length} chunks with ${embedder.model} (${chunks.length - todo.length} reused)`);
+
+  for (let i = 0; i < todo.length; i += EMBED_BATCH) {
+    const batch = todo.slice(i, i + EMBED_BATCH);
+    const out = await embedder.embed(batch.map(chunkEmbeddingText));
+    out.forEach((vec, j) => {
+      dims = vec.length;
+      // 5 decimals keeps cosine accurate while roughly halving file size
+      vectors[batch[j].id] = vec.map((x) => Math.round(x * 1e5) / 1e5);
+    });
+    console.log(`  .. ${Math.min(i + EMBED_BATCH, todo.length)}/${todo.length}`);
+  }
+
+  fs.writeFileSync(EMBEDDINGS_FILE, JSON.stringify({ model: embedder.model, dims, vectors }), "utf8");
+  console.log(`Wrote: ${EMBEDDINGS_FILE}`);
+}
+
+// ---- Sources config ----
+// docs_sources.json: { "sources": [{ source, type, ... }] }
+//   gitbook / html  start (URL), host (default: start's host), prefix (default "/"), maxPages, selector
+//   markdown        dir (relative to the repo), baseUrl (optional: public URL of the folder); files may
+//                   carry front matter, see ingestMarkdownDir
+// Any entry may set idPrefix (chunk id prefix, default per type) and "enabled": false.
+//   faq             file (relative to the repo) or url; JSON [{ question, answer, section?, url? }] or { faqs: [...] }
+const SOURCE_TYPES = ["gitbook", "html", "markdown", "faq"];
+const ID_PREFIX = { gitbook: "gb", html: "web", markdown: "md", faq: "faq" };
+
+// Config sources + the team-written knowledge/ folder (unless the config already lists it).
+function loadSources() {
+  const sources = readSourcesConfig();
+  const knowledgeDir = path.resolve(REPO_ROOT, KNOWLEDGE_DIR);
+  const configured = sources.find((s) => s.type === "markdown" && path.resolve(REPO_ROOT, s.dir) === knowledgeDir);
+
+  if (configured) configured.knowledge = true;
+  else if (fs.existsSync(knowledgeDir)) {
+    sources.push({ source: "knowledge", type: "markdown", dir: KNOWLEDGE_DIR, idPrefix: "kb", knowledge: true });
+  }
+  return sources;
+}
+
+function readSourcesConfig() {
+  if (!fs.existsSync(SOURCES_FILE)) {
+    // no config: the official GitBook only
+    const u = new URL(START_URL);
+    return [{ source: "docs", type: "gitbook", start: START_URL, host: u.host, prefix: u.pathname }];
+  }
+
+  const config = JSON.parse(fs.readFileSync(SOURCES_FILE, "utf8"));
+  const list = Array.isArray(config) ? config : config?.sources;
+  if (!Array.isArray(list) || !list.length) throw new Error(`${SOURCES_FILE}: expected a non-empty "sources" array`);
+
+  const labels = new Set();
+  return list
+    .filter((src) => src?.enabled !== false)
+    .map((src, i) => {
+      const where = `${path.basename(SOURCES_FILE)} sources[${i}]`;
+      if (!src.source || typeof src.source !== "string") throw new Error(`${where}: missing "source" label`);
+      if (labels.has(src.source)) throw new Error(`${where}: duplicate source label "${src.source}"`);
+      labels.add(src.source);
+      if (!SOURCE_TYPES.includes(src.type)) throw new Error(`${where}: "type" must be one of ${SOURCE_TYPES.join(", ")}`);
+
+      if (src.type === "gitbook" || src.type === "html") {
+        if (!src.start) throw new Error(`${where}: "start" URL is required for ${src.type}`);
+        const start = new URL(src.start);
+        return { ...src, host: src.host || start.host, prefix: src.prefix || "/" };
+      }
+      if (src.type === "markdown" && !src.dir) throw new Error(`${where}: "dir" is required for markdown`);
+      if (src.type === "faq" && !src.file && !src.url) throw new Error(`${where}: "file" or "url" is required for faq`);
+      return { ...src };
+    });
+}
+
+// Turns heading sections into index chunks; shared by every source type.
+// Ids number chunks within their heading (anchor), so an edit only renumbers its own section.
+function emitChunks(src, { key, url, title, section, sections, tags = [] }, ctx) {
+  const chunkIds = [];
+  const perAnchor = new Map(); // anchor -> chunks emitted so far
+  chunkSections(sections).forEach(({ headingPath, anchor, text, tables }) => {
+    const n = perAnchor.get(anchor) || 0;
+    perAnchor.set(anchor, n + 1);
+    const id = `${src.idPrefix || ID_PREFIX[src.type]}-${stableId(`${key}#${anchor}#${n}`)}`;
+    chunkIds.push(id);
+    ctx.out.push({
+      id,
+      source: src.source,
+      title: cleanText(title),
+      section: headingPath.length > 1 ? headingPath.slice(-2).join(" - ") : section,
+      headingPath,
+      url: url && anchor ? `${url}#${anchor}` : url,
+      text,
+      ...(tags.length ? { tags } : {}),
+      ...(tables.length ? { tables } : {}),
+    });
+  });
+  return chunkIds;
+}
+
+// Records a page/file that was (re)built this run in the manifest + changelog.
+function trackPage(ctx, key, entry) {
+  const before = ctx.prev.pages[key];
+  ctx.pages[key] = entry;
+  if (!before) ctx.changes.added.push(key);
+  else if (before.hash === entry.hash) ctx.changes.unchanged.push(key);
+  else ctx.changes.modified.push(key);
+}
+
+// ---- Web sources (gitbook / html) ----
+const robotsByOrigin = new Map();
+const pacerByOrigin = new Map();
+
+async function crawlSite(src, ctx) {
+  const visited = new Set();
+  const origin = new URL(src.start).origin;
+  const maxPages = Number(src.maxPages || MAX_PAGES);
+  const start = normalizeUrl(src.start, src.start, src) || src.start;
+
+  if (!robotsByOrigin.has(origin)) {
+    const loaded = await loadRobots(origin);
+    robotsByOrigin.set(origin, loaded);
+    pacerByOrigin.set(origin, createPacer(Math.max(FETCH_DELAY_MS, loaded.crawlDelay * 1000)));
+  }
+  const robots = robotsByOrigin.get(origin);
+  const pacer = pacerByOrigin.get(origin);
+  console.log(`robots.txt: ${robots.rules.length} rules, crawl delay ${pacer.delayMs}ms`);
+
+  const sitemapUrls = new Set(robots.sitemaps);
+  sitemapUrls.add(`${origin}${src.prefix.replace(/\/+$/, "")}/sitemap.xml`);
+  sitemapUrls.add(`${origin}/sitemap.xml`);
+  const fromSitemap = await loadSitemapUrls(sitemapUrls, robots, src, pacer);
+
+  // link discovery is only the fallback when there is no sitemap
+  const followLinks = fromSitemap.length === 0;
+  const queue = followLinks ? [start] : [start, ...fromSitemap.filter((u) => u !== start)];
+  console.log(followLinks ? "No sitemap found, following links" : `Seeded ${fromSitemap.length} pages from sitemap`);
+
+  // keep the previous chunks of a page as they are
+  const reusePage = (url, entry) => {
+    ctx.pages[url] = entry;
+    ctx.out.push(...(ctx.prev.chunksByUrl.get(url) || []));
+    ctx.changes.unchanged.push(url);
+    if (!followLinks) return;
+    for (const l of entry.links || []) {
+      if (!visited.has(l)) queue.push(l);
+    }
+  };
+
+  while (queue.length > 0 && visited.size < maxPages) {
     const url = queue.shift();
     if (!url || visited.has(url)) continue;
     visited.add(url);
 
-    console.log(`\n[${visited.size}/${MAX_PAGES}] Fetch: ${url}`);
+    if (!robotsAllows(robots, url)) {
+      console.log(`\nSkip (robots.txt): ${url}`);
+      continue;
+    }
 
-    let html;
+    console.log(`\n[${visited.size}/${maxPages}] Fetch: ${url}`);
+
+    const before = ctx.prev.pages[url];
+    let page;
     try {
-      html = await fetchWithTimeout(url);
+      page = await pacer.run(() => fetchPage(url, before));
     } catch (e) {
       console.log(`  !! fetch failed: ${e.message}`);
+      // transient failure: don't drop what we already had
+      if (before) reusePage(url, before);
+      continue;
+    }
+
+    if (page.status === 304 && before) {
+      console.log("  .. 304 not modified");
+      reusePage(url, { ...before, etag: page.etag, lastModified: page.lastModified });
+      continue;
+    }
+
+    if (!page.html) {
+      console.log(`  !! fetch failed: HTTP ${page.status}`);
+      // 5xx / 429 are as transient as a thrown error; a 404 or 410 really does remove the page
+      if (before && (page.status >= 500 || page.status === 429)) reusePage(url, before);
       continue;
     }
 
-    const $ = cheerio.load(html);
+    const $ = cheerio.load(page.html);
+
+    // Discover new links (before extraction strips nav/aside)
+    const links = extractLinks($, url, src);
+    if (followLinks) {
+      for (const l of links) {
+        if (!visited.has(l)) queue.push(l);
+      }
+    }
 
     const title = pickBestTitle($);
-    const section = inferSectionFromUrl(url);
+    const section = inferSectionFromUrl(url, src.prefix);
 
-    let text = extractMainText($);
+    const sections = extractSections($, title, src.selector);
+    const pageText = sections.map((sec) => sec.text).join("\n\n");
+    const hash = contentHash(`${title}\n${section}\n${JSON.stringify(sections)}`);
+    const entry = { source: src.source, etag: page.etag, lastModified: page.lastModified, hash, links, chunkIds: [] };
+
+    if (before && before.hash === hash) {
+      console.log("  .. content unchanged");
+      reusePage(url, { ...entry, chunkIds: before.chunkIds || [] });
+      continue;
+    }
 
     // If the page is basically empty, skip it
-    if (!text || text.length < 100) {
+    if (pageText.length < 100) {
       console.log("  .. no usable content, skipping");
     } else {
-      // Chunk it
-      const chunks = chunkByParagraphs(text, CHUNK_TARGET_CHARS, CHUNK_OVERLAP_CHARS);
+      // Chunk each heading section on its own so a chunk never straddles two subsections
+      entry.chunkIds = emitChunks(src, { key: url, url, title, section, sections }, ctx);
 
       console.log(`  .. title: ${title}`);
-      console.log(`  .. section: ${section}`);
-      console.log(`  .. chunks: ${chunks.length}`);
-
-      chunks.forEach((chunkText, i) => {
-        const id = `gb-${stableId(`${url}#${i}`)}`;
-        out.push({
-          id,
-          title: cleanText(title),
-          section: cleanText(section),
-          url,
-          text: chunkText,
-        });
-      });
+      console.log(`  .. sections: ${sections.length}`);
+      console.log(`  .. chunks: ${entry.chunkIds.length}`);
     }
 
-    // Discover new links
-    const newLinks = extractLinks($, url);
-    for (const l of newLinks) {
-      if (!visited.has(l)) queue.push(l);
+    trackPage(ctx, url, entry);
+  }
+
+  return visited.size;
+}
+
+// ---- Front matter ----
+// The small YAML subset guides need: `key: value`, quoted strings, [inline, lists] and "- item" lists.
+function parseFrontMatter(markdown) {
+  const m = markdown.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!m) return { data: {}, body: markdown };
+
+  const scalar = (v) => {
+    const t = v.trim();
+    const q = t.match(/^(["'])([\s\S]*)\1$/);
+    return q ? q[2] : t;
+  };
+
+  const data = {};
+  let listKey = "";
+  for (const line of m[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+
+    const item = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(scalar(item[1]));
+      continue;
     }
 
-    await sleep(FETCH_DELAY_MS);
+    const kv = line.match(/^([A-Za-z0-9_-]+)\s*:\s*(.*)$/);
+    if (!kv) continue;
+    const [, key, value] = kv;
+    listKey = "";
+    if (!value.trim()) {
+      data[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value.trim())) {
+      data[key] = value.trim().slice(1, -1).split(",").map(scalar).filter(Boolean);
+    } else {
+      data[key] = scalar(value);
+    }
   }
 
-  // Write output
-  fs.writeFileSync(OUT_FILE, JSON.stringify(out, null, 2), "utf8");
+  return { data, body: markdown.slice(m[0].length) };
+}
+
+// MDX: drop import/export statements so they don't end up in the index
+function stripMdx(body) {
+  return body.replace(/^(import|export)\s[^\n]*$/gm, "");
+}
+
+// ---- Local Markdown folders ----
+function listFiles(dir, exts) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .flatMap((d) => {
+      const p = path.join(dir, d.name);
+      if (d.isDirectory()) return d.name.startsWith(".") ? [] : listFiles(p, exts);
+      return exts.includes(path.extname(d.name).toLowerCase()) ? [p] : [];
+    })
+    .sort();
+}
+
+function parseMarkdownTable(lines) {
+  const cells = (line) =>
+    line
+      .trim()
+      .replace(/^\|/, "")
+      .replace(/(?<!\\)\|$/, "")
+      .split(/(?<!\\)\|/)
+      .map((c) => cleanText(c.trim().replace(/\\\|/g, "|")));
+  const headers = cells(lines[0]);
+  const rows = lines.slice(2).map(cells).map((r) => headers.map((_, i) => r[i] || ""));
+  return rows.length ? { caption: "", headers, rows } : null;
+}
 
-  console.log(`\nDone. Pages visited: ${visited.size}`);
+// Markdown counterpart of extractSections: same { headingPath, anchor, text, tables } shape.
+function markdownSections(markdown, pageTitle) {
+  const sections = [];
+  const stack = [];
+  const usedAnchors = new Set();
+  let current = { headingPath: [pageTitle], anchor: "", blocks: [], tables: [] };
+  let para = [];
+
+  const flush = () => {
+    const txt = cleanText(para.join("\n"));
+    if (txt) current.blocks.push(txt);
+    para = [];
+  };
+
+  const lines = markdown.replace(/\r\n?/g, "\n").split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // fenced code stays verbatim
+    const fence = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      flush();
+      const code = [];
+      while (++i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i]);
+      if (code.join("").trim()) current.blocks.push(`CODE:\n${code.join("\n")}`);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,4})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      const txt = cleanText(heading[2]);
+      const level = heading[1].length;
+      while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+      stack.push({ level, text: txt });
+
+      sections.push(current);
+      const headingPath = stack.map((h) => h.text);
+      let anchor = "";
+      if (level > 1) {
+        const base = slugify(txt) || "section";
+        anchor = base;
+        for (let n = 1; usedAnchors.has(anchor); n++) anchor = `${base}-${n}`;
+        usedAnchors.add(anchor);
+      }
+      current = {
+        headingPath: headingPath[0] === pageTitle ? headingPath : [pageTitle, ...headingPath],
+        anchor,
+        blocks: [txt],
+        tables: [],
+      };
+      continue;
+    }
+
+    // | a | b | followed by | --- | --- |
+    if (/^\s*\|/.test(line) && /^\s*\|?\s*:?-{3,}/.test(lines[i + 1] || "")) {
+      flush();
+      const tableLines = [];
+      while (i < lines.length && /^\s*\|/.test(lines[i])) tableLines.push(lines[i++]);
+      i--;
+      const table = parseMarkdownTable(tableLines);
+      if (table) {
+        for (const part of splitTable(table, CHUNK_TARGET_CHARS)) {
+          current.blocks.push(part.markdown);
+          current.tables.push(part);
+        }
+      }
+      continue;
+    }
+
+    if (!line.trim()) flush();
+    else para.push(line.trim());
+  }
+  flush();
+  sections.push(current);
+
+  return sections
+    .map(({ headingPath, anchor, blocks, tables }) => ({ headingPath, anchor, text: cleanText(blocks.join("\n\n")), tables }))
+    .filter((sec) => sec.text);
+}
+
+function titleFromFile(file) {
+  const base = path.basename(file, path.extname(file)).replace(/[-_]+/g, " ").trim();
+  return base.charAt(0).toUpperCase() + base.slice(1);
+}
+
+// Files starting with "_" (templates, drafts) are skipped.
+// Front matter (all optional): title, section, url, tags, id. `id` pins the chunk ids of a file
+// that gets renamed; otherwise they derive from its path. Within a file a chunk id comes from its
+// heading anchor and its position under that heading, so editing one section leaves the ids of
+// every other section alone (renaming a heading does change its chunks' ids).
+function ingestMarkdownDir(src, ctx) {
+  const dir = path.resolve(REPO_ROOT, src.dir);
+  const files = listFiles(dir, [".md", ".mdx"]).filter((f) => !path.basename(f).startsWith("_"));
+  console.log(`Markdown files: ${files.length} in ${dir}`);
+
+  for (const file of files) {
+    const rel = path.relative(dir, file).split(path.sep).join("/");
+    const raw = fs.readFileSync(file, "utf8");
+    const { data, body } = parseFrontMatter(raw);
+    const markdown = /\.mdx$/i.test(file) ? stripMdx(body) : body;
+
+    const h1 = markdown.match(/^#\s+(.+?)\s*#*\s*$/m);
+    const title = cleanText(data.title || (h1 ? h1[1] : titleFromFile(file)));
+    const section = cleanText(data.section || "") || (rel.includes("/") ? titleFromFile(rel.split("/")[0]) : "Overview");
+    const url = data.url
+      ? String(data.url)
+      : src.baseUrl
+      ? new URL(rel.replace(/\.mdx?$/i, ""), src.baseUrl.replace(/\/?$/, "/")).toString()
+      : "";
+    const tags = (Array.isArray(data.tags) ? data.tags : data.tags ? String(data.tags).split(",") : [])
+      .map((t) => cleanText(String(t)))
+      .filter(Boolean);
+    const key = `${src.source}:${data.id || rel}`;
+
+    const sections = markdownSections(markdown, title);
+    const chunkIds = emitChunks(src, { key, url, title, section, sections, tags }, ctx);
+    trackPage(ctx, key, { source: src.source, hash: contentHash(raw), chunkIds });
+    console.log(chunkIds.length ? `  .. ${rel}: ${chunkIds.length} chunks` : `  !! ${rel}: too short to index (< ${MIN_CHUNK_CHARS} chars)`);
+  }
+
+  return files.length;
+}
+
+// ---- FAQ files ----
+async function ingestFaq(src, ctx) {
+  let raw;
+  if (src.file) {
+    raw = fs.readFileSync(path.resolve(REPO_ROOT, src.file), "utf8");
+  } else {
+    const { status, text } = await fetchText(src.url);
+    if (!text) throw new Error(`FAQ ${src.url}: HTTP ${status || "network error"}`);
+    raw = text;
+  }
+
+  const data = JSON.parse(raw);
+  const entries = (Array.isArray(data) ? data : data?.faqs || data?.items || []).filter((e) => e?.question && e?.answer);
+  const key = src.url || `${src.source}:${src.file}`;
+  const chunkIds = [];
+
+  for (const e of entries) {
+    const question = cleanText(String(e.question));
+    const id = `${src.idPrefix || ID_PREFIX.faq}-${stableId(`${key}#${question}`)}`;
+    chunkIds.push(id);
+    ctx.out.push({
+      id,
+      source: src.source,
+      title: question,
+      section: cleanText(String(e.section || "FAQ")),
+      headingPath: [question],
+      url: String(e.url || src.url || ""),
+      text: `Q: ${question}\n\nA: ${cleanText(String(e.answer))}`,
+    });
+  }
+
+  trackPage(ctx, key, { source: src.source, hash: contentHash(raw), chunkIds });
+  console.log(`FAQ entries: ${entries.length}`);
+  return entries.length;
+}
+
+// ---- Output ----
+// Sources that only exist in the previous index (kept by --knowledge) stay listed.
+function buildIndexFile(sources, prevSources, chunks) {
+  const counts = new Map();
+  chunks.forEach((c) => counts.set(c.source, (counts.get(c.source) || 0) + 1));
+
+  const listed = sources.map((s) => ({ source: s.source, type: s.type }));
+  for (const s of prevSources) {
+    if (counts.has(s.source) && !listed.some((l) => l.source === s.source)) listed.push({ source: s.source, type: s.type });
+  }
+
+  return {
+    version: DOCS_INDEX_VERSION,
+    builtAt: new Date().toISOString(),
+    sources: listed.map((s) => ({ ...s, chunkCount: counts.get(s.source) || 0 })),
+    chunkCount: chunks.length,
+    chunks,
+  };
+}
+
+// ---- Shards (what the browser loads) ----
+// docs_index/manifest.json is small and revalidated on every load; shards and the term dictionary
+// are content-hashed, so they can be cached forever (see vercel.json).
+//   manifest: { version, builtAt, sources, chunkCount, terms, shards: [{ file, chunkCount, sources }] }
+//   shard:    { chunks: [...] }  (chunks as in docs_index.json)
+//   terms:    { [term]: shardIndex[] }
+
+// Same tokenizer as tokenize() in app.js: dictionary lookups have to produce the same terms
+function browserTerms(s) {
+  return (typeof s === "string" ? s : "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((t) => t.length >= 2);
+}
+
+function writeShards(index) {
+  fs.mkdirSync(SHARDS_DIR, { recursive: true });
+
+  const groups = [];
+  let current = [];
+  let bytes = 0;
+  // keep index order so a page's chunks (and a source's pages) share shards
+  for (const c of index.chunks) {
+    const size = Buffer.byteLength(JSON.stringify(c));
+    if (current.length && bytes + size > SHARD_TARGET_BYTES) {
+      groups.push(current);
+      current = [];
+      bytes = 0;
+    }
+    current.push(c);
+    bytes += size;
+  }
+  if (current.length) groups.push(current);
+
+  const written = new Set();
+  const writeHashed = (prefix, data) => {
+    const json = JSON.stringify(data);
+    const file = `${prefix}-${contentHash(json)}.json`;
+    fs.writeFileSync(path.join(SHARDS_DIR, file), json, "utf8");
+    written.add(file);
+    return `${path.basename(SHARDS_DIR)}/${file}`;
+  };
+
+  const terms = new Map();
+  const shards = groups.map((chunks, i) => {
+    for (const c of chunks) {
+      for (const t of browserTerms(`${c.title} ${c.section} ${(c.tags || []).join(" ")} ${c.text}`)) {
+        if (!terms.has(t)) terms.set(t, []);
+        const list = terms.get(t);
+        if (list[list.length - 1] !== i) list.push(i);
+      }
+    }
+    return {
+      file: writeHashed("shard", { chunks }),
+      chunkCount: chunks.length,
+      sources: Array.from(new Set(chunks.map((c) => c.source))),
+    };
+  });
+
+  const manifest = {
+    version: index.version,
+    builtAt: index.builtAt,
+    sources: index.sources,
+    chunkCount: index.chunkCount,
+    terms: writeHashed("terms", Object.fromEntries(terms)),
+    shards,
+  };
+
+  // shards of earlier builds are no longer referenced
+  for (const f of fs.readdirSync(SHARDS_DIR)) {
+    if (!written.has(f)) fs.unlinkSync(path.join(SHARDS_DIR, f));
+  }
+
+  fs.writeFileSync(SHARD_MANIFEST_FILE, JSON.stringify(manifest, null, 2), "utf8");
+  console.log(`Wrote: ${SHARD_MANIFEST_FILE} (${shards.length} shards, ${terms.size} terms)`);
+}
+
+// ---- Main ----
+async function main() {
+  const all = loadSources();
+  const sources = KNOWLEDGE_ONLY ? all.filter((s) => s.knowledge) : all;
+  if (KNOWLEDGE_ONLY && !sources.length) throw new Error(`--knowledge: no ${KNOWLEDGE_DIR}/ directory`);
+
+  const stamp = { chunker: CHUNKER_VERSION, config: chunkingConfigHash(all) };
+  const prev = INCREMENTAL || KNOWLEDGE_ONLY ? loadPreviousBuild(stamp) : { ...emptyBuild(), stamp };
+  const ctx = {
+    prev,
+    out: [],
+    pages: {}, // next manifest
+    changes: { added: [], modified: [], removed: [], unchanged: [] },
+  };
+
+  // --knowledge: rebuild knowledge/ only and merge it into the existing index
+  const keptIds = new Set();
+  if (KNOWLEDGE_ONLY) {
+    const rebuilt = new Set(sources.map((s) => s.source));
+    for (const c of prev.chunks) {
+      if (rebuilt.has(c.source)) continue;
+      ctx.out.push(c);
+      keptIds.add(c.id);
+    }
+    for (const [key, entry] of Object.entries(prev.pages)) {
+      if (!rebuilt.has(entry.source)) ctx.pages[key] = entry;
+    }
+  }
+
+  const mode = KNOWLEDGE_ONLY ? " — knowledge only" : INCREMENTAL ? " — incremental" : "";
+  console.log(`Sources: ${sources.map((s) => `${s.source} (${s.type})`).join(", ")}${mode}`);
+  console.log(`Output file: ${OUT_FILE}`);
+
+  const counts = {};
+  for (const src of sources) {
+    console.log(`\n=== ${src.source} (${src.type}) ===`);
+    if (src.type === "markdown") counts[src.source] = ingestMarkdownDir(src, ctx);
+    else if (src.type === "faq") counts[src.source] = await ingestFaq(src, ctx);
+    else counts[src.source] = await crawlSite(src, ctx);
+  }
+
+  const { out, pages, changes } = ctx;
+  changes.removed = Object.keys(prev.pages).filter((u) => !pages[u]);
+
+  // Write output (only if it passes the schema: the API would reject what it can't read)
+  const index = buildIndexFile(all, prev.sources, out);
+  const { errors } = validateDocsIndex(index);
+  if (errors.length) {
+    console.error(formatSchemaErrors(errors, OUT_FILE));
+    throw new Error("docs index failed schema validation; nothing written");
+  }
+
+  // Quality report (near duplicates, boilerplate, empty pages, noise); past its thresholds nothing is written either
+  const quality = buildQualityReport({ chunks: out, pages, noise: noiseRemoved });
+  const qualityText = formatQualityReport(quality);
+  console.log(`\n${qualityText}`);
+  if (process.env.GITHUB_STEP_SUMMARY) fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, `${qualityText}\n`);
+  if (QUALITY_REPORT_FILE) fs.writeFileSync(QUALITY_REPORT_FILE, JSON.stringify(quality, null, 2), "utf8");
+  if (QUALITY_GATE && quality.failed.length) {
+    throw new Error(`docs index failed quality checks (${quality.failed.join(", ")}); nothing written`);
+  }
+
+  fs.writeFileSync(OUT_FILE, JSON.stringify(index, null, 2), "utf8");
+  writeShards(index);
+  fs.writeFileSync(
+    MANIFEST_FILE,
+    JSON.stringify({ version: 1, ...prev.stamp, updatedAt: new Date().toISOString(), pages }, null, 2),
+    "utf8"
+  );
+
+  console.log(`\nDone. ${Object.entries(counts).map(([s, n]) => `${s}: ${n} pages`).join(", ")}`);
   console.log(`Chunks written: ${out.length}`);
   console.log(`Wrote: ${OUT_FILE}`);
+  console.log(`Wrote: ${MANIFEST_FILE}`);
+
+  if (INCREMENTAL || KNOWLEDGE_ONLY) printChangelog(changes);
+
+  if (EMBEDDINGS) {
+    // vectors of unchanged pages can be reused as long as the model is the same
+    const unchangedIds = new Set([...keptIds, ...changes.unchanged.flatMap((u) => pages[u].chunkIds || [])]);
+    await writeEmbeddings(out, { previous: prev.embeddings, reuseIds: unchangedIds });
+  }
 }
 
 main().catch((e) => {
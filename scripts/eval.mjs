@@ -0,0 +1,277 @@
+/**
+ * scripts/eval.mjs
+ *
+ * Offline evaluation of retrieval and answers against a golden set, so changes to scoring,
+ * retrieval weights or the system prompt can be compared with numbers.
+ *
+ *   node ./scripts/eval.mjs                  run and print a diff against eval/baseline.json
+ *   node ./scripts/eval.mjs --save           ... and make this run the new baseline
+ *   node ./scripts/eval.mjs --retrieval-only skip the answer stage
+ *   --golden <file> / --baseline <file>      other golden set / baseline (relative to the repo)
+ *
+ * Golden set (eval/golden.json):
+ *   { cases: [{ id, question, expectedChunkIds: string[], expectedFacts: string[] }] }
+ * A case with no expected chunks and no facts is one the docs can't answer: the right
+ * answer is a helper reply without citations.
+ *
+ * Retrieval: hybridSearch over docs_index.json (what /api/chat uses), scored with recall@k
+ * (share of expected chunks in the top k) and MRR (1 / rank of the first expected chunk).
+ * Answers: each question goes through the real /api/chat handler in a fresh session, with
+ * LLM_PROVIDER=mock unless set (LLM_PROVIDER=openai + LLM_BASE_URL for a local model). Scored:
+ *   grounding  grounded when the docs have the answer, not grounded when they don't
+ *   citations  share of returned citations that point at an expected chunk
+ *   facts      share of expected facts that appear in the answer (normalized substring match)
+ * The mock answers from the source that best matches the question and replies as a helper when
+ * none does (see api/_lib/llm.js), so grounding and citations move with retrieval; facts only
+ * mean much with a real model.
+ *
+ * Node: 20+
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import chatHandler from "../api/chat.js";
+import { getDocsIndex, hybridSearch } from "../api/_lib/retrieval.js";
+import { createProvider } from "../api/_lib/llm.js";
+import { normalize } from "../api/_lib/text.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REPO_ROOT = path.resolve(__dirname, "..");
+
+// all read per request / on first load, so setting them here is early enough
+process.env.LLM_PROVIDER ||= "mock";
+process.env.DOCS_INDEX_PATH ||= path.join(REPO_ROOT, "docs_index.json");
+process.env.EVENTS_LOG ||= "0"; // eval questions aren't player questions (see api/_lib/events.js)
+process.env.ANSWER_CACHE ||= "0"; // every case must reach the model (see api/_lib/answer_cache.js)
+
+const K_VALUES = [1, 3, 6]; // 6 = chunks /api/chat puts in the prompt
+const SEARCH_DEPTH = 12;
+
+function argValue(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const GOLDEN_FILE = path.resolve(REPO_ROOT, argValue("--golden", "eval/golden.json"));
+const BASELINE_FILE = path.resolve(REPO_ROOT, argValue("--baseline", "eval/baseline.json"));
+const SAVE = process.argv.includes("--save");
+const RETRIEVAL_ONLY = process.argv.includes("--retrieval-only");
+
+function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function loadGolden() {
+  const data = readJsonFile(GOLDEN_FILE, null);
+  const cases = Array.isArray(data) ? data : data?.cases;
+  if (!Array.isArray(cases) || !cases.length) throw new Error(`${GOLDEN_FILE}: expected a non-empty "cases" array`);
+
+  const ids = new Set();
+  return cases.map((c, i) => {
+    const where = `${path.basename(GOLDEN_FILE)} cases[${i}]`;
+    if (!c?.id || typeof c.question !== "string") throw new Error(`${where}: "id" and "question" are required`);
+    if (ids.has(c.id)) throw new Error(`${where}: duplicate id "${c.id}"`);
+    ids.add(c.id);
+    return { id: c.id, question: c.question, expectedChunkIds: c.expectedChunkIds || [], expectedFacts: c.expectedFacts || [] };
+  });
+}
+
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+const round = (x) => (x === null ? null : Math.round(x * 1000) / 1000);
+
+// ---- Retrieval ----
+function scoreRetrieval(c, results) {
+  if (!c.expectedChunkIds.length) return null;
+  const ids = results.map((r) => r.id);
+  const expected = new Set(c.expectedChunkIds);
+  const rank = ids.findIndex((id) => expected.has(id)) + 1;
+  const recall = Object.fromEntries(
+    K_VALUES.map((k) => [`recall@${k}`, ids.slice(0, k).filter((id) => expected.has(id)).length / expected.size])
+  );
+  return { rank, rr: rank ? 1 / rank : 0, ...recall, top: ids.slice(0, 3) };
+}
+
+// ---- Answers (through the real handler) ----
+function askChat(question, n) {
+  let payload = null;
+  let status = 200;
+  const req = {
+    method: "POST",
+    headers: { "user-agent": "gigaverse-eval" },
+    query: {},
+    body: { question },
+    socket: { remoteAddress: `eval-${n}` }, // one client per case: no shared rate limit or session
+  };
+  const res = {
+    headersSent: false,
+    setHeader() {},
+    status(code) {
+      status = code;
+      return this;
+    },
+    json(data) {
+      payload = data;
+      return this;
+    },
+  };
+  return chatHandler(req, res).then(() => {
+    if (status !== 200) throw new Error(`HTTP ${status}: ${payload?.error || "no body"}`);
+    return payload;
+  });
+}
+
+function scoreAnswer(c, payload) {
+  const answerable = c.expectedChunkIds.length > 0 || c.expectedFacts.length > 0;
+  const citations = Array.isArray(payload.citations) ? payload.citations : [];
+  const expected = new Set(c.expectedChunkIds);
+  const answer = normalize(payload.answer);
+
+  return {
+    mode: payload.mode,
+    grounded: Boolean(payload.grounded),
+    groundingOk: answerable ? Boolean(payload.grounded) : !payload.grounded,
+    citationAccuracy: citations.length && expected.size ? citations.filter((x) => expected.has(x.id)).length / citations.length : null,
+    factRecall: c.expectedFacts.length ? c.expectedFacts.filter((f) => answer.includes(normalize(f))).length / c.expectedFacts.length : null,
+    answer: payload.answer,
+  };
+}
+
+function summarize(results) {
+  const retrieval = results.map((r) => r.retrieval).filter(Boolean);
+  const answers = results.map((r) => r.answer).filter(Boolean);
+  const summary = {};
+  for (const k of K_VALUES) summary[`recall@${k}`] = round(mean(retrieval.map((r) => r[`recall@${k}`])));
+  summary.mrr = round(mean(retrieval.map((r) => r.rr)));
+  if (answers.length) {
+    summary.grounding = round(mean(answers.map((a) => (a.groundingOk ? 1 : 0))));
+    summary.citationAccuracy = round(mean(answers.map((a) => a.citationAccuracy).filter((x) => x !== null)));
+    summary.factRecall = round(mean(answers.map((a) => a.factRecall).filter((x) => x !== null)));
+  }
+  return summary;
+}
+
+// ---- Output ----
+const fmt = (x) => (x === null || x === undefined ? "-" : typeof x === "number" ? x.toFixed(3) : String(x));
+const rankOf = (retrieval) => (retrieval ? String(retrieval.rank || "miss") : "-");
+
+function printCases(results) {
+  console.log("\nCase                             rank  R@3    grounded  cites  facts");
+  for (const r of results) {
+    const ret = r.retrieval;
+    const ans = r.answer;
+    console.log(
+      [
+        r.id.padEnd(32).slice(0, 32),
+        rankOf(ret).padStart(4),
+        fmt(ret?.["recall@3"]).padStart(5),
+        (ans ? `${ans.grounded ? "yes" : "no"}${ans.groundingOk ? "" : " ✗"}` : "-").padStart(9),
+        fmt(ans?.citationAccuracy).padStart(6),
+        fmt(ans?.factRecall).padStart(6),
+      ].join(" ")
+    );
+    if (ans && ((ans.factRecall ?? 1) < 1 || !ans.groundingOk)) console.log(`    answer: ${ans.answer.replace(/\s+/g, " ").slice(0, 160)}`);
+  }
+}
+
+// --retrieval-only runs compare ranks only
+function caseKey(r, withAnswers) {
+  const answer = withAnswers ? [r.answer?.groundingOk, r.answer?.citationAccuracy, r.answer?.factRecall] : [];
+  return JSON.stringify([r.retrieval?.rank, ...answer]);
+}
+
+function printDiff(run, baseline) {
+  console.log(`\n## Diff vs baseline (${path.relative(REPO_ROOT, BASELINE_FILE)}, ${baseline.createdAt})`);
+  if (!RETRIEVAL_ONLY && baseline.llm !== run.llm) console.log(`   note: baseline answers came from ${baseline.llm}, this run from ${run.llm}`);
+  if (baseline.indexBuiltAt !== run.indexBuiltAt) console.log(`   note: docs index changed (${baseline.indexBuiltAt} → ${run.indexBuiltAt})`);
+
+  for (const [metric, now] of Object.entries(run.summary)) {
+    const before = baseline.summary?.[metric];
+    if (now === null || before === null || before === undefined) {
+      console.log(`   ${metric.padEnd(17)} ${fmt(before)} → ${fmt(now)}`);
+      continue;
+    }
+    const d = now - before;
+    const mark = Math.abs(d) < 1e-9 ? "" : d > 0 ? `  ▲ +${d.toFixed(3)}` : `  ▼ ${d.toFixed(3)}`;
+    console.log(`   ${metric.padEnd(17)} ${fmt(before)} → ${fmt(now)}${mark}`);
+  }
+
+  const before = new Map((baseline.cases || []).map((c) => [c.id, c]));
+  const changed = [];
+  for (const r of run.cases) {
+    const b = before.get(r.id);
+    if (!b) changed.push(`   + ${r.id} (new case)`);
+    else if (caseKey(b, !RETRIEVAL_ONLY) !== caseKey(r, !RETRIEVAL_ONLY)) {
+      changed.push(
+        `   ~ ${r.id}: rank ${rankOf(b.retrieval)} → ${rankOf(r.retrieval)}, grounding ${fmt(b.answer?.groundingOk)} → ${fmt(r.answer?.groundingOk)}, ` +
+          `cites ${fmt(b.answer?.citationAccuracy)} → ${fmt(r.answer?.citationAccuracy)}, facts ${fmt(b.answer?.factRecall)} → ${fmt(r.answer?.factRecall)}`
+      );
+    }
+    before.delete(r.id);
+  }
+  for (const id of before.keys()) changed.push(`   - ${id} (no longer in the golden set)`);
+  console.log(changed.length ? `\nChanged cases:\n${changed.join("\n")}` : "\nNo case changed.");
+}
+
+// ---- Main ----
+async function main() {
+  const cases = loadGolden();
+  const index = await getDocsIndex();
+  if (!index.size) throw new Error(`No chunks loaded from ${process.env.DOCS_INDEX_PATH}`);
+
+  const indexFile = readJsonFile(process.env.DOCS_INDEX_PATH, {});
+  const known = new Set(index.chunks.map((c) => c.id));
+  for (const c of cases) {
+    const missing = c.expectedChunkIds.filter((id) => !known.has(id));
+    if (missing.length) console.warn(`!! ${c.id}: expected chunk(s) not in the index: ${missing.join(", ")}`);
+  }
+
+  const llm = RETRIEVAL_ONLY ? null : createProvider();
+  const run = {
+    createdAt: new Date().toISOString(),
+    indexBuiltAt: indexFile.builtAt || "",
+    retrieval: index.vectors ? `hybrid (${index.embedModel})` : "bm25",
+    llm: llm ? `${llm.name}/${llm.model}` : "none",
+    summary: {},
+    cases: [],
+  };
+  console.log(`Golden set: ${cases.length} cases • index: ${index.size} chunks • retrieval: ${run.retrieval} • answers: ${run.llm}`);
+
+  for (const [n, c] of cases.entries()) {
+    const results = await hybridSearch(index, c.question, SEARCH_DEPTH);
+    const entry = { id: c.id, retrieval: scoreRetrieval(c, results), answer: null };
+    if (llm) {
+      try {
+        entry.answer = scoreAnswer(c, await askChat(c.question, n));
+      } catch (err) {
+        console.warn(`!! ${c.id}: ${err.message}`);
+      }
+    }
+    run.cases.push(entry);
+  }
+
+  run.summary = summarize(run.cases);
+  printCases(run.cases);
+
+  console.log("\n## Summary");
+  for (const [metric, value] of Object.entries(run.summary)) console.log(`   ${metric.padEnd(17)} ${fmt(value)}`);
+
+  const baseline = readJsonFile(BASELINE_FILE, null);
+  if (baseline) printDiff(run, baseline);
+  else console.log(`\nNo baseline yet (${path.relative(REPO_ROOT, BASELINE_FILE)}); run with --save to create one.`);
+
+  if (SAVE) {
+    fs.mkdirSync(path.dirname(BASELINE_FILE), { recursive: true });
+    fs.writeFileSync(BASELINE_FILE, JSON.stringify(run, null, 2), "utf8");
+    console.log(`\nWrote: ${BASELINE_FILE}`);
+  }
+}
+
+main().catch((e) => {
+  console.error("Fatal error:", e);
+  process.exit(1);
+});
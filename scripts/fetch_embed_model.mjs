@@ -0,0 +1,28 @@
+/**
+ * scripts/fetch_embed_model.mjs
+ *
+ * Downloads the embedding model (EMBED_MODEL, see api/_lib/embeddings.js) into ./models so it
+ * ships with the /api/chat function (vercel.json includeFiles) instead of being downloaded on
+ * every cold start. Run by `npm run vercel-build` on deploy; /api/chat picks ./models up by itself.
+ *
+ * Fails the build when the model can't be fetched: a deploy without it would silently fall back
+ * to keyword-only search.
+ *
+ * Node: 20+
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { pipeline, env } from "@huggingface/transformers";
+import { DEFAULT_EMBED_MODEL } from "../api/_lib/embeddings.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MODEL_DIR = path.resolve(__dirname, "..", process.env.EMBED_MODEL_DIR || "models");
+const MODEL = process.env.EMBED_MODEL || DEFAULT_EMBED_MODEL;
+
+env.cacheDir = MODEL_DIR;
+
+console.log(`Fetching ${MODEL} into ${MODEL_DIR}`);
+const extractor = await pipeline("feature-extraction", MODEL, { dtype: "fp32" });
+const [vec] = (await extractor(["warm-up"], { pooling: "mean", normalize: true })).tolist();
+console.log(`OK: ${vec.length} dims`);
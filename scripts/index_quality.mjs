@@ -0,0 +1,244 @@
+/**
+ * scripts/index_quality.mjs
+ *
+ * Post-build quality report for build_docs_index.mjs:
+ *   - near-duplicate chunks (word shingles + MinHash, LSH banding for candidates, exact Jaccard to confirm)
+ *   - chunks dominated by boilerplate (lines repeated on many pages: footers, banners, "join our Discord")
+ *   - pages that produced zero chunks
+ *   - words removed by the indexer's noise rules
+ * Each check has a threshold; buildQualityReport marks the ones that are exceeded.
+ *
+ * Env (thresholds; "off" disables a check):
+ *   QUALITY_MAX_DUPLICATE_PCT    % of chunks that are near-duplicates of another chunk   (default 10)
+ *   QUALITY_MAX_BOILERPLATE_PCT  % of chunks dominated by boilerplate                     (default 10)
+ *   QUALITY_MAX_EMPTY_PAGE_PCT   % of pages that produced zero chunks                     (default 25)
+ *   QUALITY_MAX_NOISE_REMOVED    words removed by noise rules in this run                 (default off)
+ *   QUALITY_NEAR_DUP_SIMILARITY  Jaccard similarity of shingles that counts as duplicate  (default 0.9)
+ *   QUALITY_BOILERPLATE_SHARE    share of a chunk's text in repeated lines to flag it     (default 0.5)
+ *   QUALITY_BOILERPLATE_PAGES    distinct pages a line must appear on to be boilerplate   (default 3)
+ */
+
+const SHINGLE_WORDS = 5;
+const MINHASH_BANDS = 16;
+const MINHASH_ROWS = 4; // 64 hashes; pairs above ~0.5 similarity almost always share a band
+const BOILERPLATE_MIN_WORDS = 4; // shorter lines ("Overview", table rules) repeat naturally
+const MAX_LISTED = 20;
+
+function threshold(env, name, fallback) {
+  const raw = env[name];
+  if (raw === undefined || raw === "") return fallback;
+  if (String(raw).toLowerCase() === "off") return Infinity;
+  const n = Number(raw);
+  if (!Number.isFinite(n)) throw new Error(`${name} must be a number or "off" (got "${raw}")`);
+  return n;
+}
+
+export function qualityConfig(env = process.env) {
+  return {
+    maxDuplicatePct: threshold(env, "QUALITY_MAX_DUPLICATE_PCT", 10),
+    maxBoilerplatePct: threshold(env, "QUALITY_MAX_BOILERPLATE_PCT", 10),
+    maxEmptyPagePct: threshold(env, "QUALITY_MAX_EMPTY_PAGE_PCT", 25),
+    maxNoiseRemoved: threshold(env, "QUALITY_MAX_NOISE_REMOVED", Infinity),
+    nearDupSimilarity: threshold(env, "QUALITY_NEAR_DUP_SIMILARITY", 0.9),
+    boilerplateShare: threshold(env, "QUALITY_BOILERPLATE_SHARE", 0.5),
+    boilerplatePages: threshold(env, "QUALITY_BOILERPLATE_PAGES", 3),
+  };
+}
+
+function words(s) {
+  return String(s || "").toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+const pageOf = (c) => String(c.url || "").split("#")[0] || `${c.source}:${c.title}`;
+const where = (c) => c.url || c.title || "untitled";
+
+// ---- Near duplicates ----
+// 32-bit FNV-1a of a shingle, then one cheap integer mix per MinHash function
+function fnv1a(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
+function mix32(h) {
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+const SEEDS = Array.from({ length: MINHASH_BANDS * MINHASH_ROWS }, (_, i) => mix32(i + 1));
+
+function shingles(text) {
+  const w = words(text);
+  const out = new Set();
+  if (w.length <= SHINGLE_WORDS) {
+    if (w.length) out.add(fnv1a(w.join(" ")));
+    return out;
+  }
+  for (let i = 0; i + SHINGLE_WORDS <= w.length; i++) out.add(fnv1a(w.slice(i, i + SHINGLE_WORDS).join(" ")));
+  return out;
+}
+
+function minhash(set) {
+  const sig = new Array(SEEDS.length).fill(0xffffffff);
+  for (const x of set) {
+    for (let i = 0; i < SEEDS.length; i++) {
+      const h = mix32(x ^ SEEDS[i]);
+      if (h < sig[i]) sig[i] = h;
+    }
+  }
+  return sig;
+}
+
+function jaccard(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let inter = 0;
+  for (const x of small) if (large.has(x)) inter++;
+  return inter / (a.size + b.size - inter || 1);
+}
+
+// Groups of chunks whose shingle sets are at least `minSimilarity` alike
+function findNearDuplicates(chunks, minSimilarity) {
+  const sets = chunks.map((c) => shingles(c.text));
+  const buckets = new Map();
+  sets.forEach((set, i) => {
+    if (!set.size) return;
+    const sig = minhash(set);
+    for (let b = 0; b < MINHASH_BANDS; b++) {
+      const key = `${b}:${sig.slice(b * MINHASH_ROWS, (b + 1) * MINHASH_ROWS).join(",")}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(i);
+    }
+  });
+
+  // union-find over confirmed pairs
+  const parent = chunks.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const best = new Map(); // root -> lowest similarity seen in the group
+  const checked = new Set();
+
+  for (const members of buckets.values()) {
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const [i, j] = [members[x], members[y]];
+        const pair = `${i}:${j}`;
+        if (checked.has(pair)) continue;
+        checked.add(pair);
+        const sim = jaccard(sets[i], sets[j]);
+        if (sim < minSimilarity) continue;
+        const [ri, rj] = [find(i), find(j)];
+        const low = Math.min(sim, best.get(ri) ?? 1, best.get(rj) ?? 1);
+        parent[rj] = ri;
+        best.set(ri, low);
+      }
+    }
+  }
+
+  const groups = new Map();
+  chunks.forEach((_, i) => {
+    const r = find(i);
+    if (!groups.has(r)) groups.set(r, []);
+    groups.get(r).push(i);
+  });
+
+  return Array.from(groups.entries())
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => ({
+      similarity: Math.round(best.get(root) * 100) / 100,
+      chunks: members.map((i) => ({ id: chunks[i].id, title: chunks[i].title, url: chunks[i].url })),
+    }));
+}
+
+// ---- Boilerplate ----
+function findBoilerplate(chunks, { boilerplatePages, boilerplateShare }) {
+  const norm = (line) => words(line).join(" ");
+  const linePages = new Map(); // normalized line -> Set(page)
+
+  for (const c of chunks) {
+    for (const line of String(c.text || "").split("\n")) {
+      const n = norm(line);
+      if (n.split(" ").length < BOILERPLATE_MIN_WORDS) continue;
+      if (!linePages.has(n)) linePages.set(n, new Set());
+      linePages.get(n).add(pageOf(c));
+    }
+  }
+
+  const repeated = new Map(Array.from(linePages).filter(([, pages]) => pages.size >= boilerplatePages));
+
+  const flagged = [];
+  for (const c of chunks) {
+    const lines = String(c.text || "").split("\n");
+    const total = lines.reduce((n, l) => n + l.trim().length, 0);
+    const boiler = lines.reduce((n, l) => n + (repeated.has(norm(l)) ? l.trim().length : 0), 0);
+    const share = total ? boiler / total : 0;
+    if (share >= boilerplateShare) flagged.push({ id: c.id, title: c.title, url: c.url, share: Math.round(share * 100) / 100 });
+  }
+
+  const lines = Array.from(repeated)
+    .map(([text, pages]) => ({ text, pages: pages.size }))
+    .sort((a, b) => b.pages - a.pages);
+
+  return { lines, chunks: flagged };
+}
+
+// ---- Report ----
+// pages:  manifest entries of this build ({ [key]: { chunkIds } })
+// noise:  Map(word -> { count, samples }) collected by the indexer's cleanText
+export function buildQualityReport({ chunks, pages = {}, noise = new Map() }, config = qualityConfig()) {
+  const duplicates = findNearDuplicates(chunks, config.nearDupSimilarity);
+  const boilerplate = findBoilerplate(chunks, config);
+  const pageKeys = Object.keys(pages);
+  const emptyPages = pageKeys.filter((k) => !(pages[k].chunkIds || []).length);
+  const removed = Array.from(noise, ([word, e]) => ({ word, count: e.count, samples: e.samples })).sort((a, b) => b.count - a.count);
+
+  // every group keeps one chunk; the rest are the duplicates
+  const duplicateCount = duplicates.reduce((n, g) => n + g.chunks.length - 1, 0);
+  const pct = (n, of) => (of ? Math.round((n / of) * 1000) / 10 : 0);
+  const noiseTotal = removed.reduce((n, r) => n + r.count, 0);
+
+  const checks = [
+    { name: "near-duplicate chunks", value: pct(duplicateCount, chunks.length), limit: config.maxDuplicatePct, unit: "%" },
+    { name: "boilerplate chunks", value: pct(boilerplate.chunks.length, chunks.length), limit: config.maxBoilerplatePct, unit: "%" },
+    { name: "pages with zero chunks", value: pct(emptyPages.length, pageKeys.length), limit: config.maxEmptyPagePct, unit: "%" },
+    { name: "noise words removed", value: noiseTotal, limit: config.maxNoiseRemoved, unit: "" },
+  ].map((c) => ({ ...c, ok: c.value <= c.limit }));
+
+  return {
+    chunkCount: chunks.length,
+    pageCount: pageKeys.length,
+    duplicates,
+    boilerplate,
+    emptyPages,
+    noise: removed,
+    checks,
+    failed: checks.filter((c) => !c.ok).map((c) => c.name),
+  };
+}
+
+export function formatQualityReport(report) {
+  const limit = (c) => (c.limit === Infinity ? "off" : `${c.limit}${c.unit}`);
+  const lines = [
+    "## Docs index quality",
+    "",
+    `${report.chunkCount} chunks from ${report.pageCount} pages`,
+    "",
+    "| Check | Value | Limit | |",
+    "| --- | --- | --- | --- |",
+    ...report.checks.map((c) => `| ${c.name} | ${c.value}${c.unit} | ${limit(c)} | ${c.ok ? "ok" : "FAIL"} |`),
+  ];
+
+  const list = (title, items, fmt) => {
+    if (!items.length) return;
+    lines.push("", `### ${title}`);
+    items.slice(0, MAX_LISTED).forEach((x) => lines.push(`- ${fmt(x)}`));
+    if (items.length > MAX_LISTED) lines.push(`- … ${items.length - MAX_LISTED} more`);
+  };
+
+  list("Near-duplicate chunks", report.duplicates, (g) => `${g.similarity}: ${g.chunks.map((c) => `${c.id} (${where(c)})`).join(", ")}`);
+  list("Boilerplate lines", report.boilerplate.lines, (l) => `${l.pages} pages: "${l.text}"`);
+  list("Boilerplate-dominated chunks", report.boilerplate.chunks, (c) => `${c.id} ${Math.round(c.share * 100)}% (${where(c)})`);
+  list("Pages with zero chunks", report.emptyPages, (k) => k);
+  list("Removed by noise rules", report.noise, (n) => `"${n.word}" ×${n.count}${n.samples.length ? ` — e.g. ${n.samples.map((s) => `"${s}"`).join(", ")}` : ""}`);
+
+  return lines.join("\n");
+}